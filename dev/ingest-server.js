@@ -0,0 +1,100 @@
+/**
+ * Harbor local ingest server - a stand-in for the Harbor Scale API in
+ * development and CI. It accepts the same requests as the real endpoint,
+ * records them, and lets tests read them back.
+ *
+ *   node dev/ingest-server.js            (PORT=8787 by default)
+ *   <script src="harbor-web-analytics.js?h=dev&k=dev&e=http://localhost:8787"></script>
+ *
+ *   POST   /ingest/:harborId/batch    batches (X-API-Key header, optional gzip)
+ *   POST   /ingest/:harborId?k=KEY    exit beacons
+ *   POST   /ingest/:harborId/errors   error details
+ *   GET    /requests                  everything recorded so far
+ *   DELETE /requests                  clear the recording
+ *
+ * INGEST_STATUS=503 answers every ingest request with that status, to
+ * exercise retries. INGEST_LOG=path also appends each request as a JSON line.
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const STATUS = parseInt(process.env.INGEST_STATUS) || 202;
+const LOG = process.env.INGEST_LOG;
+
+const recorded = [];
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, X-API-Key',
+  'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS));
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      if (req.headers['content-encoding'] !== 'gzip') return resolve(raw.toString('utf8'));
+      zlib.gunzip(raw, (err, text) => (err ? reject(err) : resolve(text.toString('utf8'))));
+    });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') return reply(res, 204);
+
+  if (url.pathname === '/requests') {
+    if (req.method === 'GET') return reply(res, 200, recorded);
+    if (req.method === 'DELETE') {
+      recorded.length = 0;
+      return reply(res, 204);
+    }
+  }
+
+  const match = url.pathname.match(/^\/ingest\/([^/]+)(?:\/(batch|errors))?$/);
+  if (!match || req.method !== 'POST') return reply(res, 404, { error: 'not found' });
+
+  readBody(req).then(text => {
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      return reply(res, 400, { error: 'invalid JSON' });
+    }
+
+    const entry = {
+      harborId: match[1],
+      kind: match[2] || 'beacon',
+      apiKey: req.headers['x-api-key'] || url.searchParams.get('k'),
+      encoding: req.headers['content-encoding'] || null,
+      receivedAt: Date.now(),
+      body
+    };
+    if (!entry.apiKey) return reply(res, 401, { error: 'missing API key' });
+
+    recorded.push(entry);
+    if (LOG) fs.appendFileSync(LOG, JSON.stringify(entry) + '\n');
+    console.log(`[ingest] ${entry.kind} ${entry.harborId}: ${Array.isArray(body) ? body.length + ' events' : '1 record'}`);
+
+    if (STATUS === 429 || STATUS === 503) res.setHeader('Retry-After', '1');
+    reply(res, STATUS, { accepted: STATUS < 300 });
+  }, err => reply(res, 400, { error: err.message }));
+});
+
+server.listen(PORT, () => {
+  console.log(`[ingest] Listening on http://localhost:${PORT}`);
+});
@@ -3,20 +3,33 @@
  * Version: 2.1.0 - 
  */
 
-(function() {
+(function boot(options) {
   'use strict';
 
   // ============================================
   // 1. CONFIGURATION
   // ============================================
-  const script = document.currentScript || document.querySelector('script[src*="harbor-track"]');
-  if (!script) return;
+  // Already running (the script was included twice, e.g. tag plus bundle)
+  if (window.harbor && !Array.isArray(window.harbor)) return;
 
-  const url = new URL(script.src);
+  // Commands queued by the async snippet: window.harbor = window.harbor || [];
+  // harbor.push(['track', 'signup']). The queue is replayed once booted.
+  const queued = Array.isArray(window.harbor) ? window.harbor : [];
+  const initCommand = queued.find(command => command && command[0] === 'init');
+  options = options || (initCommand && initCommand[1]);
+
+  // Config can come from the script tag, from init() or from both. Without
+  // a tag (bundlers, tag managers) an empty element stands in for it.
+  const script = (!options && document.currentScript) ||
+    document.querySelector('script[src*="harbor-web-analytics"], script[src*="harbor-track"]') ||
+    document.createElement('script');
+
+  const url = new URL(script.src || 'about:blank');
   const CONFIG = {
     harborId: url.searchParams.get('h') || script.getAttribute('data-harbor-id'),
     apiKey: url.searchParams.get('k') || script.getAttribute('data-api-key'),
     endpoint: url.searchParams.get('e') || script.getAttribute('data-endpoint') || 'https://harborscale.com/api/v2',
+    errorEndpoint: url.searchParams.get('error-endpoint') || script.getAttribute('data-error-endpoint'), // defaults to endpoint
     debug: url.searchParams.get('debug') === 'true',
     
     // Feature Flags (Enable/Disable modules)
@@ -28,613 +41,3654 @@
     trackMouse: url.searchParams.get('track-mouse') !== 'false',
     trackMedia: url.searchParams.get('track-media') !== 'false',
     trackVisibility: url.searchParams.get('track-visibility') !== 'false',
+    trackDeclarative: url.searchParams.get('track-declarative') !== 'false',
+    trackImpressions: url.searchParams.get('track-impressions') !== 'false',
+    trackNetwork: url.searchParams.get('track-network') === 'true' || script.hasAttribute('data-track-network'), // opt-in
+    trackHeatmap: url.searchParams.get('track-heatmap') === 'true' || script.hasAttribute('data-track-heatmap'), // opt-in
+    trackOutbound: url.searchParams.get('track-outbound') !== 'false',
+    downloadExtensions: (url.searchParams.get('download-extensions') || script.getAttribute('data-download-extensions') ||
+      'pdf,zip,rar,7z,gz,tar,dmg,exe,msi,pkg,apk,iso,csv,txt,doc,docx,xls,xlsx,ppt,pptx,mp3,mp4,mov').split(',').map(e => e.trim().toLowerCase()).filter(Boolean),
+    
+    // Cross-domain linking: sibling domains that share visitors and sessions
+    linkDomains: (url.searchParams.get('link-domains') || script.getAttribute('data-link-domains') || '').split(',').map(d => d.trim()).filter(Boolean),
+    linkTtl: parseInt(url.searchParams.get('link-ttl')) || 120, // seconds a link token stays valid
+    heatmapGrid: parseInt(url.searchParams.get('heatmap-grid')) || 20, // px per document grid cell
+    
+    // Network requests to record: URL patterns such as "*/api/*"; deny wins over allow
+    networkAllow: (url.searchParams.get('network-allow') || script.getAttribute('data-network-allow') || '').split(',').map(p => p.trim()).filter(Boolean),
+    networkDeny: (url.searchParams.get('network-deny') || script.getAttribute('data-network-deny') || '').split(',').map(p => p.trim()).filter(Boolean),
+    
+    // SPA routes: templates such as /users/:id/orders/:id, trailing * matches the rest
+    routes: (url.searchParams.get('routes') || script.getAttribute('data-routes') || '').split(',').map(r => r.trim()).filter(Boolean),
+    routeCollapseIds: url.searchParams.get('route-collapse-ids') === 'true',
+    
+    // Privacy: built-in PII detectors, and query parameters kept in page paths/URLs
+    redact: url.searchParams.get('redact') !== 'false',
+    queryAllow: (url.searchParams.get('query-allow') || script.getAttribute('data-query-allow') || '').split(',').map(q => q.trim()).filter(Boolean),
+    
+    // Viewability rule: share of the element on screen, and for how long
+    impressionThreshold: parseFloat(url.searchParams.get('impression-threshold')) || 0.5,
+    impressionTime: parseInt(url.searchParams.get('impression-time')) || 1000,
+    
+    // Payload schema: 2 = { ship_id, cargo_id, value }, 3 adds ts, seq, session_id and dims
+    schema: parseInt(url.searchParams.get('schema') || script.getAttribute('data-schema')) || 2,
+    
+    // Delivery: 'fetch' | 'beacon' | 'memory' | 'console' (or an object via init), optional gzip bodies
+    transport: url.searchParams.get('transport') || script.getAttribute('data-transport') || 'fetch',
+    compress: url.searchParams.get('compress') === 'true' || script.hasAttribute('data-compress'),
     
     batchSize: parseInt(url.searchParams.get('batch-size')) || 100,
     batchInterval: parseInt(url.searchParams.get('batch-interval')) || 5000,
+    maxQueueSize: parseInt(url.searchParams.get('max-queue')) || 1000,
+    queueEviction: url.searchParams.get('queue-eviction') || 'oldest', // 'oldest' | 'newest'
+    
+    // Governor: sample rates per pattern ("mouse.*:0.1,perf.*:0.25"), reported as `rate` in schema v3
+    // and once per session as governor.sample_rate in v2,
+    // plus token-bucket limits per event name (per minute) and per session (per hour)
+    sample: url.searchParams.get('sample') || script.getAttribute('data-sample') || '',
+    eventRateLimit: parseInt(url.searchParams.get('rate-limit')) || 120,
+    sessionEventLimit: parseInt(url.searchParams.get('session-limit')) || 5000,
+
+    // Likely bots: 'tag' | 'drop' | 'sample' (keeps bot-sample of their sessions) | 'off'
+    botPolicy: url.searchParams.get('bot-policy') || script.getAttribute('data-bot-policy') || 'tag',
+    botSample: parseFloat(url.searchParams.get('bot-sample')) || 0.1,
+
+    // Consent: 'buffer' holds events until consent is granted, 'drop' discards them
+    consentRequired: url.searchParams.get('consent-required') === 'true' || script.hasAttribute('data-consent-required'),
+    consentMode: url.searchParams.get('consent-mode') || script.getAttribute('data-consent-mode') || 'buffer',
+    
+    // Identity: 'fingerprint' (legacy), 'session', 'cookieless-daily' or 'persistent'
+    identity: url.searchParams.get('identity') || script.getAttribute('data-identity') || 'fingerprint',
+    identitySalt: url.searchParams.get('identity-salt') || script.getAttribute('data-identity-salt') || '',
+    identityDays: parseInt(url.searchParams.get('identity-days')) || 365, // persistent id lifetime
+    sessionTimeout: parseInt(url.searchParams.get('session-timeout')) || 30, // minutes of inactivity
+    idleTimeout: parseInt(url.searchParams.get('idle-timeout')) || 30, // seconds without input before engagement pauses
+    
+    // Extra referrer classifications: "news.example.com:social,*.intranet.example:internal"
+    referrerSources: (url.searchParams.get('referrer-sources') || script.getAttribute('data-referrer-sources') || '').split(',').map(r => r.trim()).filter(Boolean),
   };
 
+  // init() and configure() options use the CONFIG keys; list options also
+  // accept "a,b" strings
+  function assignConfig(values) {
+    Object.keys(values || {}).forEach(key => {
+      const value = values[key];
+      if (value === undefined) return;
+      CONFIG[key] = Array.isArray(CONFIG[key]) && typeof value === 'string'
+        ? value.split(',').map(v => v.trim()).filter(Boolean)
+        : value;
+    });
+  }
+
+  assignConfig(options);
+
+  // harbor.optOut() is remembered per browser until harbor.optIn()
+  const OPT_OUT_KEY = '_ht_optout';
+  const STUB_QUEUE_LIMIT = 500;
+
+  function isOptedOut() {
+    try {
+      return localStorage.getItem(OPT_OUT_KEY) === '1';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function setOptedOut(value) {
+    try {
+      if (value) {
+        localStorage.setItem(OPT_OUT_KEY, '1');
+      } else {
+        localStorage.removeItem(OPT_OUT_KEY);
+      }
+    } catch (e) {}
+  }
+
   if (!CONFIG.harborId || !CONFIG.apiKey) {
-    console.error('[Harbor] Missing API Key or Harbor ID');
+    installStub(queued);
+    if (options) {
+      console.error('[Harbor] Missing API Key or Harbor ID');
+    } else if (CONFIG.debug) {
+      console.log('[Harbor] Waiting for harbor.init()');
+    }
+    return;
+  }
+
+  if (navigator.doNotTrack === '1') {
+    queued.length = 0;
+    installStub(queued, true);
+    return;
+  }
+
+  if (isOptedOut()) {
+    installOptedOutStub();
+    if (CONFIG.debug) console.log('[Harbor] Opted out, not tracking');
     return;
   }
 
-  if (navigator.doNotTrack === '1') return;
+  // Until harbor.init() boots the script, calls are queued (up to
+  // STUB_QUEUE_LIMIT), not thrown. A stub that can never boot (inert, under
+  // Do Not Track) and an opted-out visitor queue nothing.
+  function installStub(queue, inert) {
+    const accept = (command) => {
+      if (!inert && !isOptedOut() && queue.length < STUB_QUEUE_LIMIT) Array.prototype.push.call(queue, command);
+    };
+    ['track', 'flush', 'identify', 'reset', 'use', 'beforeSend', 'configure', 'shutdown', 'goals.define',
+      'consent.grant', 'consent.revoke', 'redact.addRule', 'attribution.addSource'].forEach(name => {
+      const path = name.split('.');
+      const owner = path.length > 1 ? (queue[path[0]] = queue[path[0]] || {}) : queue;
+      owner[path[path.length - 1]] = (...args) => accept([name, ...args]);
+    });
+    queue.push = (...commands) => {
+      commands.forEach(accept);
+      return queue.length;
+    };
+    queue.init = (config) => {
+      removeWhere(queue, command => command && command[0] === 'init');
+      boot(config || options);
+    };
+    queue.optOut = () => {
+      setOptedOut(true);
+      queue.length = 0;
+    };
+    queue.optIn = () => setOptedOut(false);
+    window.harbor = queue;
+  }
+
+  // Opting back in starts tracking on this page right away
+  function installOptedOutStub() {
+    queued.length = 0;
+    installStub(queued);
+    window.harbor.optIn = () => {
+      setOptedOut(false);
+      queued.length = 0;
+      boot(options);
+    };
+  }
 
   // ============================================
-  // 2. ENHANCED VISITOR IDENTITY
+  // 2. CONSENT MANAGEMENT
   // ============================================
-  function hash(str) {
-    let h = 2166136261;
-    for (let i = 0; i < str.length; i++) {
-      h ^= str.charCodeAt(i);
-      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+  const CONSENT_CATEGORIES = ['analytics', 'performance', 'errors'];
+  const CONSENT_KEY = '_ht_consent';
+  const CONSENT_BUFFER_LIMIT = 500;
+  const consentBuffer = [];
+  const consentDecisions = loadConsent();
+
+  function loadConsent() {
+    try {
+      return JSON.parse(localStorage.getItem(CONSENT_KEY)) || {};
+    } catch (e) {
+      return {};
     }
-    return (h >>> 0).toString(36);
   }
 
-  function getVisitorId() {
+  /**
+   * Resolve the consent status of a category.
+   * Explicit decisions win; otherwise Global Privacy Control denies and
+   * data-consent-required leaves the category pending.
+   * @param {string} category - analytics | performance | errors
+   * @returns {string} granted | denied | pending
+   */
+  function consentStatus(category) {
+    if (consentDecisions[category]) return consentDecisions[category];
+    if (navigator.globalPrivacyControl === true) return 'denied';
+    return CONFIG.consentRequired ? 'pending' : 'granted';
+  }
+
+  function consentCategoryOf(cargoId) {
+    if (/^(perf|resource|network)\./.test(cargoId)) return 'performance';
+    if (/^error\./.test(cargoId)) return 'errors';
+    return 'analytics';
+  }
+
+  function consentSnapshot() {
+    const status = {};
+    CONSENT_CATEGORIES.forEach(c => { status[c] = consentStatus(c); });
+    return status;
+  }
+
+  function setConsent(categories, decision) {
+    const selected = categories ? [].concat(categories) : CONSENT_CATEGORIES;
+
+    selected.forEach(category => {
+      if (!CONSENT_CATEGORIES.includes(category)) return;
+      consentDecisions[category] = decision;
+
+      // Release or discard everything held for this category
+      const held = consentBuffer.filter(p => consentCategoryOf(p.cargo_id) === category);
+      removeWhere(consentBuffer, p => consentCategoryOf(p.cargo_id) === category);
+      if (decision === 'granted') {
+        held.forEach(enqueue);
+      } else {
+        removeWhere(QUEUE, p => consentCategoryOf(p.cargo_id) === category);
+        purgeBatches(category);
+      }
+    });
+
     try {
-      const sessionKey = '_ht_sid';
-      let sid = sessionStorage.getItem(sessionKey);
-      if (!sid) {
-        sid = hash(Date.now() + Math.random().toString());
-        sessionStorage.setItem(sessionKey, sid);
-      }
-      // Enhanced fingerprint
-      const traits = [
-        navigator.language || '',
-        new Date().getTimezoneOffset(),
-        window.screen.width + 'x' + window.screen.height,
-        window.screen.colorDepth,
-        navigator.hardwareConcurrency || 1,
-        navigator.deviceMemory || 1,
-        navigator.platform || '',
-        !!window.indexedDB,
-        !!window.sessionStorage,
-        navigator.maxTouchPoints || 0
-      ].join('|');
-      return `${sid}_${hash(traits)}`;
-    } catch (e) {
-      return 'unknown_visitor';
+      localStorage.setItem(CONSENT_KEY, JSON.stringify(consentDecisions));
+    } catch (e) {}
+    if (selected.includes('analytics')) {
+      if (decision === 'denied') forgetVisitor();
+      else if (memorySession) writeSession(memorySession);
+    }
+
+    syncPlugins();
+    if (CONFIG.debug) console.log('[Harbor] Consent updated:', consentSnapshot());
+  }
+
+  function removeWhere(list, predicate) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (predicate(list[i])) list.splice(i, 1);
     }
   }
 
   // ============================================
-  // 3. BATCHED STREAMING ENGINE (Schema Compliant)
+  // 3. PII REDACTION
   // ============================================
-  const QUEUE = [];
-  let batchTimer = null;
-  const SESSION_START = Date.now();
+  // Every payload is scrubbed right before it enters the queue: cargo_id,
+  // the ship_id context suffix (v2) and dimension values (v3).
+  const REDACTION_RULES = CONFIG.redact ? [
+    { name: 'jwt', pattern: /eyJ[\w-]+\.[\w-]+\.[\w-]+/g, replacement: '[jwt]' },
+    { name: 'email', pattern: /[\w.+-]+@[\w-]+\.[\w.-]+/g, replacement: '[email]' },
+    { name: 'uuid', pattern: /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, replacement: '[uuid]' },
+    // Numbers only stand alone: inside a base36 token (hashed ids, error
+    // fingerprints) digits are not personal data. No lookbehind, for older Safari.
+    { name: 'card', pattern: /(^|[^a-z0-9])(?:\d[ -]?){12,18}\d(?![a-z0-9])/gi, replacement: '$1[card]' },
+    { name: 'digits', pattern: /(^|[^a-z0-9])\d{6,}(?![a-z0-9])/gi, replacement: '$1[number]' }
+  ] : [];
 
   /**
-   * Track an event - engineered to match cargo_data schema
-   * @param {string} cargoId - Event name (can include metadata via naming convention)
-   * @param {number} value - Numeric value only
-   * @param {string} shipIdSuffix - Optional suffix to add context to ship_id
+   * Add a redaction rule that runs after the built-in detectors.
+   * @param {RegExp|Function} rule - Pattern to replace, or (value) => redactedValue
+   * @param {string} [replacement] - Replacement for pattern matches, defaults to '[redacted]'
    */
-  function track(cargoId, value = 1, shipIdSuffix = '') {
-    // Ensure value is strictly a number
-    const numericValue = typeof value === 'number' ? value : parseFloat(value) || 0;
-    
-    const payload = {
-      ship_id: shipIdSuffix ? `${getVisitorId()}_${shipIdSuffix}` : getVisitorId(),
-      cargo_id: cargoId,
-      value: numericValue
-    };
-
-    QUEUE.push(payload);
-    if (CONFIG.debug) console.log(`[Harbor] Queued (${QUEUE.length}):`, payload);
-    
-    // Auto-flush when batch size reached
-    if (QUEUE.length >= CONFIG.batchSize) {
-      flushBatch();
-    } else if (!batchTimer) {
-      batchTimer = setTimeout(flushBatch, CONFIG.batchInterval);
+  function addRedactionRule(rule, replacement = '[redacted]') {
+    if (typeof rule === 'function') {
+      REDACTION_RULES.push({ name: 'custom', fn: rule });
+    } else if (Object.prototype.toString.call(rule) === '[object RegExp]') {
+      const flags = rule.flags.includes('g') ? rule.flags : rule.flags + 'g';
+      REDACTION_RULES.push({ name: 'custom', pattern: new RegExp(rule.source, flags), replacement });
     }
   }
 
-  function flushBatch() {
-    if (QUEUE.length === 0) return;
+  function redact(value, field) {
+    if (typeof value !== 'string' || !value) return value;
     
-    clearTimeout(batchTimer);
-    batchTimer = null;
-    
-    const batch = QUEUE.splice(0, CONFIG.batchSize);
+    const applied = [];
+    const result = REDACTION_RULES.reduce((current, rule) => {
+      let next = current;
+      try {
+        next = rule.fn ? String(rule.fn(current)) : current.replace(rule.pattern, rule.replacement);
+      } catch (e) {}
+      if (next !== current) applied.push(rule.name);
+      return next;
+    }, value);
+    // Logged once all rules ran, so the output never shows a partly redacted value
+    if (CONFIG.debug && applied.length > 0) console.log(`[Harbor] Redacted ${applied.join(', ')} in ${field}:`, result);
+    return result;
+  }
+
+  function redactPayload(payload) {
+    payload.cargo_id = redact(payload.cargo_id, 'cargo_id');
     
-    fetch(`${CONFIG.endpoint}/ingest/${CONFIG.harborId}/batch`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'X-API-Key': CONFIG.apiKey
-      },
-      body: JSON.stringify(batch),
-      keepalive: true
-    })
-    .then(() => {
-      if (CONFIG.debug) console.log(`[Harbor] Flushed ${batch.length} events`);
-    })
-    .catch(err => {
-      if (CONFIG.debug) console.error('[Harbor] Flush failed:', err);
-      QUEUE.unshift(...batch); // Re-queue on failure
-    });
+    const visitorId = getVisitorId();
+    if (payload.ship_id.indexOf(visitorId + '_') === 0) {
+      payload.ship_id = visitorId + '_' + redact(payload.ship_id.slice(visitorId.length + 1), 'ship_id');
+    }
     
-    // Continue processing if more events
-    if (QUEUE.length > 0) {
-      batchTimer = setTimeout(flushBatch, CONFIG.batchInterval);
+    if (payload.dims) {
+      Object.keys(payload.dims).forEach(key => {
+        payload.dims[key] = redact(payload.dims[key], key);
+      });
     }
+    return payload;
   }
 
-  // Flush on page unload
-  window.addEventListener('beforeunload', () => {
-    if (QUEUE.length > 0) {
-      navigator.sendBeacon(
-        `${CONFIG.endpoint}/ingest/${CONFIG.harborId}?k=${CONFIG.apiKey}`,
-        JSON.stringify(QUEUE)
-      );
+  // Only allow-listed query parameters survive; the hash is kept for hash routers
+  function sanitizeUrl(href) {
+    try {
+      const parsed = new URL(href, window.location.href);
+      const query = allowedQuery(parsed.search);
+      const hashRoute = /^#!?\//.test(parsed.hash) ? parsed.hash.split('?')[0] : '';
+      return redact(parsed.origin + parsed.pathname + query + hashRoute, 'url');
+    } catch (e) {
+      return '';
     }
-  });
+  }
 
-  // ============================================
-  // 4. DEVICE & ENVIRONMENT CONTEXT (As Metrics)
-  // ============================================
-  function trackDeviceContext() {
-    track('device.viewport_width', window.innerWidth);
-    track('device.viewport_height', window.innerHeight);
-    track('device.screen_width', window.screen.width);
-    track('device.screen_height', window.screen.height);
-    track('device.pixel_ratio', Math.round((window.devicePixelRatio || 1) * 100));
-    track('device.touch_points', navigator.maxTouchPoints || 0);
-    track('device.memory_gb', navigator.deviceMemory || 0);
-    track('device.cpu_cores', navigator.hardwareConcurrency || 0);
-    
-    // Connection info
-    const conn = navigator.connection;
-    if (conn) {
-      track('connection.rtt_ms', conn.rtt || 0);
-      track('connection.downlink_mbps', Math.round((conn.downlink || 0) * 100));
-      track('connection.save_data', conn.saveData ? 1 : 0);
-    }
+  function allowedQuery(search) {
+    if (CONFIG.queryAllow.length === 0) return '';
+    const params = new URLSearchParams();
+    new URLSearchParams(search).forEach((value, key) => {
+      if (CONFIG.queryAllow.includes(key) && !ATTRIBUTION_PARAM.test(key)) params.append(key, value);
+    });
+    const query = params.toString();
+    return query ? '?' + query : '';
   }
 
-  // Enrich with battery status (async)
-  if (navigator.getBattery) {
-    navigator.getBattery().then(battery => {
-      track('device.battery_level', Math.round(battery.level * 100));
-      track('device.battery_charging', battery.charging ? 1 : 0);
+  // Campaign parameters are read once by attribution and never reach page paths
+  const ATTRIBUTION_PARAM = /^(utm_\w+|gclid|fbclid|msclkid)$/;
+
+  function withoutAttribution(search) {
+    const params = new URLSearchParams(search);
+    Array.from(params.keys()).forEach(key => {
+      if (ATTRIBUTION_PARAM.test(key)) params.delete(key);
     });
+    const query = params.toString();
+    return query ? '?' + query : '';
   }
 
-  // Track initial device context
-  track('session.start', 1);
-  trackDeviceContext();
+  // Elements inside [data-harbor-mask] never contribute ids or text
+  function isMasked(el) {
+    return !!(el && el.closest && el.closest('[data-harbor-mask]'));
+  }
 
   // ============================================
-  // 5. DEEP TRACKING MODULES (Schema Compliant)
+  // 4. ENHANCED VISITOR IDENTITY
   // ============================================
+  function hash(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+    }
+    return (h >>> 0).toString(36);
+  }
 
-  // A. PAGEVIEWS (SPA Aware + Timing)
-  let pageLoadTime = Date.now();
-  const logPage = () => {
-    const timeOnPreviousPage = Date.now() - pageLoadTime;
-    pageLoadTime = Date.now();
-    
-    const pathname = window.location.pathname;
-    const hasQuery = window.location.search ? 1 : 0;
-    const hasHash = window.location.hash ? 1 : 0;
+  // Two 32-bit hashes, for ids that must not collide across a large audience
+  function longHash(str) {
+    return hash(str) + hash(str + '|' + str.length);
+  }
+
+  // Sessions are shared by every tab of the site and end after
+  // sessionTimeout minutes without activity
+  const SESSION_KEY = '_ht_session';
+  const SESSION_TIMEOUT = CONFIG.sessionTimeout * 60000;
+  const VISITOR_KEY = '_ht_vid';
+  let memorySession = null;
+  let renewalPending = false; // a session started; track() reports it
+  let expiredSession = null; // the session it replaced, until its end is reported
+  let closingSession = null; // that session while its end is reported
+  const SESSION_END_HOOKS = [];
+  let persistentVisitor = null;
+  let persistentStored = false;
+
+  // Until analytics consent is granted the session lives in memory only;
+  // setConsent() persists it on grant
+  function readSession() {
+    if (consentStatus('analytics') !== 'granted') return memorySession;
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY)) || memorySession;
+    } catch (e) {
+      return memorySession;
+    }
+  }
+
+  function writeSession(session) {
+    // Reporting a session's end must not bring it back
+    if (session === closingSession) return;
+    memorySession = session;
+    if (consentStatus('analytics') !== 'granted') return;
+    try {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (e) {}
+  }
+
+  function startSession(user) {
+    const now = Date.now();
+    const session = { id: hash(now + Math.random().toString()), start: now, last: now, seq: 0, user: user || '' };
+    writeSession(session);
+    renewalPending = true;
+    return session;
+  }
+
+  function currentSession() {
+    if (closingSession) return closingSession;
+    const session = readSession();
+    if (session && Date.now() - session.last <= SESSION_TIMEOUT) return session;
     
-    // Use pathname in ship_id for page-specific tracking
-    track('pageview', 1, pathname);
-    track('pageview.has_query', hasQuery, pathname);
-    track('pageview.has_hash', hasHash, pathname);
+    // Timed out, in this page or since the last one: reportSessionChange()
+    // ends it under its own ids
+    if (session) expiredSession = session;
+    // A signed-in user stays identified when their session times out
+    return startSession(session && session.user);
+  }
+
+  // Runs from track(): the end of an expired session, then the start of the new one
+  function reportSessionChange() {
+    currentSession();
+    if (!renewalPending) return;
+    renewalPending = false;
     
-    if (timeOnPreviousPage > 100) {
-      track('page.time_on_page_sec', Math.round(timeOnPreviousPage / 1000), pathname);
+    if (expiredSession) {
+      const expired = expiredSession;
+      expiredSession = null;
+      endSession(expired);
     }
-  };
-  
-  logPage();
-  const pushState = history.pushState;
-  history.pushState = function(...args) {
-    pushState.apply(this, args);
-    logPage();
-  };
-  window.addEventListener('popstate', logPage);
+    track('session.start', 1, attributionDims());
+    if (CONFIG.schema < 3) trackAttribution();
+  }
 
-  // B. ENHANCED FORM TRACKING
-  if (CONFIG.trackForms) {
-    const formStates = new Map();
-    
-    document.addEventListener('focus', (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-        const form = e.target.form;
-        const formId = form ? (form.id || form.name || 'form_' + hash(form.outerHTML.slice(0, 100))) : 'no_form';
-        const fieldType = e.target.type || e.target.tagName.toLowerCase();
-        
-        if (!formStates.has(formId)) {
-          formStates.set(formId, {
-            started_at: Date.now(),
-            fields_focused: new Set(),
-            fields_changed: new Set(),
-            field_count: form ? form.elements.length : 0
-          });
+  function endSession(session) {
+    closingSession = session;
+    try {
+      SESSION_END_HOOKS.slice().forEach(hook => {
+        try {
+          hook();
+        } catch (e) {
+          if (CONFIG.debug) console.error('[Harbor] Session end hook failed:', e);
         }
-        
-        const state = formStates.get(formId);
-        const fieldName = e.target.name || e.target.id || 'unknown';
-        state.fields_focused.add(fieldName);
-        
-        const timeInForm = Math.round((Date.now() - state.started_at) / 1000);
-        track(`form.focus.${fieldType}`, timeInForm, formId);
-        track('form.fields_focused_count', state.fields_focused.size, formId);
+      });
+      track('session.end', Math.round((session.last - session.start) / 1000));
+      track('session.engaged_sec', Math.round((session.engaged || 0) / 1000));
+    } finally {
+      closingSession = null;
+    }
+  }
+
+  // Only activity (input, navigation, playing media) extends the session.
+  // Timer and summary events must not, or an open tab would never time out.
+  function touchSession() {
+    const session = currentSession();
+    if (closingSession || Date.now() - session.last <= 5000) return;
+    session.last = Date.now();
+    writeSession(session);
+  }
+
+  function getSessionId() {
+    return currentSession().id;
+  }
+
+  function getSessionStart() {
+    return currentSession().start;
+  }
+
+  /**
+   * Visitor id for ship_id: the hashed user id once identify() was called,
+   * otherwise the anonymous id of the configured identity mode.
+   * @returns {string}
+   */
+  function getVisitorId() {
+    const session = currentSession();
+    return session.user || session.linkedVisitor || getAnonymousId();
+  }
+
+  function getAnonymousId() {
+    try {
+      switch (CONFIG.identity) {
+        case 'session': return getSessionId();
+        case 'cookieless-daily': return getDailyId();
+        case 'persistent': return getPersistentId();
+        default: return getFingerprintId();
       }
-    }, true);
+    } catch (e) {
+      return 'unknown_visitor';
+    }
+  }
 
-    document.addEventListener('change', (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') {
-        const form = e.target.form;
-        const formId = form ? (form.id || form.name || 'form_' + hash(form.outerHTML.slice(0, 100))) : 'no_form';
-        const fieldType = e.target.type || e.target.tagName.toLowerCase();
-        const valueLength = e.target.value ? e.target.value.length : 0;
-        
-        if (formStates.has(formId)) {
-          formStates.get(formId).fields_changed.add(e.target.name || e.target.id || 'unknown');
-        }
-        
-        track(`form.change.${fieldType}`, valueLength, formId);
+  // Legacy mode: session id plus a device fingerprint
+  function getFingerprintId() {
+    const traits = [
+      navigator.language || '',
+      new Date().getTimezoneOffset(),
+      window.screen.width + 'x' + window.screen.height,
+      window.screen.colorDepth,
+      navigator.hardwareConcurrency || 1,
+      navigator.deviceMemory || 1,
+      navigator.platform || '',
+      !!window.indexedDB,
+      !!window.sessionStorage,
+      navigator.maxTouchPoints || 0
+    ].join('|');
+    return `${getSessionId()}_${hash(traits)}`;
+  }
+
+  // Salted hash that rotates at UTC midnight; nothing is stored on the device
+  function getDailyId() {
+    return longHash([
+      CONFIG.identitySalt || CONFIG.harborId,
+      new Date().toISOString().slice(0, 10),
+      window.location.hostname,
+      navigator.userAgent,
+      navigator.language || ''
+    ].join('|'));
+  }
+
+  // First-party cookie mirrored to localStorage, renewed on every page load.
+  // Nothing is written until analytics consent is granted.
+  function getPersistentId() {
+    if (!persistentVisitor) {
+      const match = document.cookie.match(/(?:^|;\s*)_ht_vid=([^;]+)/);
+      let stored = null;
+      try {
+        stored = JSON.parse(localStorage.getItem(VISITOR_KEY));
+      } catch (e) {}
+      if (match) {
+        persistentVisitor = decodeURIComponent(match[1]);
+      } else if (stored && stored.expires > Date.now()) {
+        persistentVisitor = stored.id;
+      } else {
+        persistentVisitor = longHash(Date.now() + Math.random().toString());
       }
-    }, true);
+    }
     
-    document.addEventListener('submit', (e) => {
-      const formId = e.target.id || e.target.name || 'form_' + hash(e.target.outerHTML.slice(0, 100));
-      const state = formStates.get(formId);
-      
-      if (state) {
-        const timeToSubmit = Math.round((Date.now() - state.started_at) / 1000);
-        const completionRate = Math.round((state.fields_changed.size / state.field_count) * 100);
-        
-        track('form.submit', timeToSubmit, formId);
-        track('form.completion_rate', completionRate, formId);
-        track('form.fields_changed', state.fields_changed.size, formId);
-        
-        formStates.delete(formId);
+    if (!persistentStored && consentStatus('analytics') === 'granted') {
+      persistentStored = true;
+      storePersistentId(persistentVisitor, CONFIG.identityDays * 86400);
+    }
+    return persistentVisitor;
+  }
+
+  function storePersistentId(id, maxAge) {
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${VISITOR_KEY}=${encodeURIComponent(id)}; Max-Age=${maxAge}; Path=/; SameSite=Lax${secure}`;
+    try {
+      if (maxAge > 0) {
+        localStorage.setItem(VISITOR_KEY, JSON.stringify({ id, expires: Date.now() + maxAge * 1000 }));
       } else {
-        track('form.submit', 0, formId);
+        localStorage.removeItem(VISITOR_KEY);
       }
-    });
-    
-    // Form abandonment tracking
-    setInterval(() => {
-      formStates.forEach((state, formId) => {
-        const timeInForm = (Date.now() - state.started_at) / 1000;
-        if (timeInForm > 30 && state.fields_changed.size > 0) {
-          track('form.abandonment_risk', Math.round(timeInForm), formId);
-        }
-      });
-    }, 30000);
+    } catch (e) {}
   }
 
-  // C. ENHANCED ERROR TRACKING
-  if (CONFIG.trackErrors) {
-    const errorCounts = new Map();
-    
-    window.addEventListener('error', (e) => {
-      const errorKey = `${e.message}_${e.filename}_${e.lineno}`;
-      const count = (errorCounts.get(errorKey) || 0) + 1;
-      errorCounts.set(errorKey, count);
-      
-      const errorId = hash(errorKey);
-      track('error.js', count, errorId);
-      track('error.line', e.lineno || 0, errorId);
-      track('error.col', e.colno || 0, errorId);
-    });
-    
-    window.addEventListener('unhandledrejection', (e) => {
-      const reasonHash = hash(e.reason ? e.reason.toString() : 'unknown');
-      track('error.promise', 1, reasonHash);
-    });
-    
-    // Console error tracking (non-intrusive)
-    const originalError = console.error;
-    console.error = function(...args) {
-      const msgHash = hash(args.join(' ').slice(0, 100));
-      track('error.console', 1, msgHash);
-      originalError.apply(console, args);
-    };
+  // Consent revoked or opted out: drop every stored identifier. Tracking, if
+  // it continues, starts over in a fresh anonymous session.
+  function forgetVisitor() {
+    storePersistentId('', 0);
+    persistentVisitor = null;
+    persistentStored = false;
+    memorySession = null;
+    try {
+      localStorage.removeItem(SESSION_KEY);
+      localStorage.removeItem(FIRST_TOUCH_KEY);
+    } catch (e) {}
   }
 
-  // D. ENHANCED CLICK TRACKING
-  if (CONFIG.trackClicks) {
-    let clicks = [];
-    const clickedElements = new Set();
+  /**
+   * Link this visitor to a signed-in user. Only a salted hash of the user id
+   * is kept; the identify event carries the anonymous id it replaces.
+   * @param {string|number} userId
+   */
+  function identify(userId) {
+    if (userId === undefined || userId === null || userId === '') return;
+    const user = 'u_' + longHash(`${CONFIG.identitySalt || CONFIG.harborId}:${userId}`);
+    const session = currentSession();
+    if (session.user === user) return;
     
-    document.addEventListener('click', (e) => {
-      const now = Date.now();
-      const el = e.target.closest('button, a, [data-track], input, div, span');
-      
-      // 1. Enhanced general tracking
+    const anonymousId = getAnonymousId();
+    session.user = user;
+    writeSession(session);
+    track('identity.identify', 1, { anonymous_id: anonymousId });
+  }
+
+  // Sign-out: forget the user, start a new session and, in persistent mode, a new visitor
+  function resetIdentity() {
+    if (CONFIG.identity === 'persistent') {
+      storePersistentId('', 0);
+      persistentVisitor = null;
+      persistentStored = false;
+    }
+    startSession('');
+    reportSessionChange();
+  }
+
+  // Cross-domain linking: links to linkDomains carry a short-lived token
+  // (_htl) with the visitor, session and user ids. The signature is a tamper
+  // check keyed on the site's Harbor credentials, not a secret.
+  const LINK_PARAM = '_htl';
+
+  function signLink(parts) {
+    return longHash(parts.join('.') + '|' + CONFIG.harborId + '|' + CONFIG.apiKey);
+  }
+
+  function createLinkToken() {
+    const session = currentSession();
+    const parts = [Date.now().toString(36), session.linkedVisitor || getAnonymousId(), session.id, session.user || ''];
+    return parts.concat(signLink(parts)).join('.');
+  }
+
+  function isLinkedDomain(host) {
+    return CONFIG.linkDomains.some(domain => host === domain || host.endsWith('.' + domain));
+  }
+
+  // Adopt an incoming token: same session, same visitor. The parameter is
+  // removed from the address bar so it is never shared or bookmarked.
+  function adoptLinkToken() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get(LINK_PARAM);
+    if (!token) return;
+    
+    params.delete(LINK_PARAM);
+    const query = params.toString();
+    try {
+      history.replaceState(history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    } catch (e) {}
+    
+    const parts = token.split('.');
+    const signature = parts.pop();
+    const age = Date.now() - parseInt(parts[0], 36);
+    if (parts.length !== 4 || signature !== signLink(parts) || !(age > -60000 && age < CONFIG.linkTtl * 1000)) {
+      if (CONFIG.debug) console.warn('[Harbor] Ignored invalid or expired link token');
+      return;
+    }
+    
+    const now = Date.now();
+    writeSession({ id: parts[2], start: now, last: now, seq: 0, user: parts[3], linkedVisitor: parts[1] });
+    if (CONFIG.identity === 'persistent') persistentVisitor = parts[1];
+  }
+
+  // Start or continue the shared session before anything is tracked
+  adoptLinkToken();
+  currentSession();
+
+  // Traffic source attribution: each landing is a "touch" classified from
+  // UTM parameters, ad click ids and the referrer. The first and the latest
+  // external touch are kept with the session (first touch outlives sessions
+  // in persistent identity mode).
+  const FIRST_TOUCH_KEY = '_ht_first_touch';
+  const CLICK_IDS = { gclid: 'google', fbclid: 'facebook', msclkid: 'bing' };
+
+  // Host globs per channel, checked in order, so the more specific come first
+  const REFERRER_SOURCES = [
+    ['mail.google.com', 'email'], ['outlook.live.com', 'email'], ['outlook.office.com', 'email'],
+    ['mail.yahoo.com', 'email'], ['mail.proton.me', 'email'],
+    ['google.*', 'search'], ['bing.com', 'search'], ['duckduckgo.com', 'search'], ['search.yahoo.com', 'search'],
+    ['yandex.*', 'search'], ['baidu.com', 'search'], ['ecosia.org', 'search'], ['search.brave.com', 'search'],
+    ['facebook.com', 'social'], ['instagram.com', 'social'], ['t.co', 'social'], ['twitter.com', 'social'],
+    ['x.com', 'social'], ['linkedin.com', 'social'], ['lnkd.in', 'social'], ['reddit.com', 'social'],
+    ['youtube.com', 'social'], ['pinterest.*', 'social'], ['tiktok.com', 'social'], ['news.ycombinator.com', 'social']
+  ].map(([pattern, channel]) => ({ pattern: globToRegExp(pattern), channel }));
+
+  function addReferrerSource(pattern, channel) {
+    REFERRER_SOURCES.unshift({ pattern: globToRegExp(pattern), channel });
+  }
+
+  CONFIG.referrerSources.forEach(entry => {
+    const [pattern, channel] = entry.split(':');
+    if (pattern && channel) addReferrerSource(pattern, channel);
+  });
+
+  // Subdomains match their parents: l.facebook.com is facebook.com
+  function referrerChannel(host) {
+    const parts = host.replace(/^www\./, '').split('.');
+    for (let i = 0; i < REFERRER_SOURCES.length; i++) {
+      for (let j = 0; j < parts.length - 1; j++) {
+        if (REFERRER_SOURCES[i].pattern.test(parts.slice(j).join('.'))) return REFERRER_SOURCES[i].channel;
+      }
+    }
+    return 'referral';
+  }
+
+  // Linked domains count as the same site
+  function sameSite(host) {
+    const site = window.location.hostname.replace(/^www\./, '');
+    host = host.replace(/^www\./, '');
+    return host === site || host.endsWith('.' + site) || site.endsWith('.' + host) || isLinkedDomain(host);
+  }
+
+  /**
+   * Classify how the visitor arrived on this page.
+   * @returns {Object} { channel, source, medium?, campaign?, term?, content?, click_id? }
+   */
+  function classifyTouch(search, referrer) {
+    const params = new URLSearchParams(search);
+    const touch = {};
+    ['source', 'medium', 'campaign', 'term', 'content'].forEach(field => {
+      const value = params.get('utm_' + field);
+      if (value) touch[field] = value.toLowerCase().slice(0, 100);
+    });
+    
+    // Only the kind of click id is kept; its value identifies the ad click
+    const clickId = Object.keys(CLICK_IDS).find(key => params.has(key));
+    if (clickId) {
+      touch.click_id = clickId;
+      touch.source = touch.source || CLICK_IDS[clickId];
+      touch.medium = touch.medium || (clickId === 'fbclid' ? 'social' : 'cpc');
+    }
+    
+    let host = '';
+    try {
+      host = referrer ? new URL(referrer).hostname : '';
+    } catch (e) {}
+    
+    if (touch.medium) {
+      touch.channel = /^(cpc|ppc|paid|display|cpm)/.test(touch.medium) ? 'paid'
+        : /e-?mail|newsletter/.test(touch.medium) ? 'email'
+        : /social/.test(touch.medium) ? 'social'
+        : host ? referrerChannel(host) : 'campaign';
+    } else if (!host) {
+      touch.channel = touch.source ? 'campaign' : 'direct';
+    } else if (sameSite(host)) {
+      touch.channel = 'internal';
+    } else {
+      touch.channel = referrerChannel(host);
+    }
+    touch.source = touch.source || host.replace(/^www\./, '') || '(direct)';
+    return touch;
+  }
+
+  const PAGE_TOUCH = classifyTouch(window.location.search, document.referrer);
+
+  function getAttribution() {
+    const session = currentSession();
+    let changed = false;
+    
+    if (!session.firstTouch) {
+      let stored = null;
+      if (CONFIG.identity === 'persistent') {
+        try {
+          stored = JSON.parse(localStorage.getItem(FIRST_TOUCH_KEY));
+        } catch (e) {}
+      }
+      session.firstTouch = stored || PAGE_TOUCH;
+      session.lastTouch = PAGE_TOUCH;
+      session.touchPage = PAGE_ID;
+      changed = true;
+    }
+    
+    // A new external landing inside the session replaces the last touch
+    if (session.touchPage !== PAGE_ID && !/^(direct|internal)$/.test(PAGE_TOUCH.channel)) {
+      session.lastTouch = PAGE_TOUCH;
+      session.touchPage = PAGE_ID;
+      changed = true;
+    }
+    if (changed) writeSession(session);
+    
+    if (CONFIG.identity === 'persistent' && consentStatus('analytics') === 'granted') {
+      try {
+        if (!localStorage.getItem(FIRST_TOUCH_KEY)) localStorage.setItem(FIRST_TOUCH_KEY, JSON.stringify(session.firstTouch));
+      } catch (e) {}
+    }
+    return { first: session.firstTouch, last: session.lastTouch };
+  }
+
+  // Dimensions for session.start and goal events: last touch as-is, first
+  // touch prefixed. Schema v2 would fold them into ship_id, so there the
+  // events stay on the bare visitor id and trackAttribution() reports the touch.
+  function attributionDims() {
+    const { first, last } = getAttribution();
+    if (CONFIG.schema < 3) return {};
+    const dims = Object.assign({}, last);
+    ['channel', 'source', 'medium', 'campaign'].forEach(field => {
+      if (first[field]) dims['first_' + field] = first[field];
+    });
+    return dims;
+  }
+
+  // Schema v2: one row per session, attribution.<channel>.<source>
+  function trackAttribution() {
+    const { last } = getAttribution();
+    const segment = (value) => String(value).toLowerCase().replace(/[^a-z0-9-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'unknown';
+    track(`attribution.${segment(last.channel)}.${segment(last.source)}`, 1);
+  }
+
+  // ============================================
+  // 5. BATCHED STREAMING ENGINE (Schema Compliant)
+  // ============================================
+  const QUEUE = [];
+  const RETRY = [];
+  const PAGE_ID = hash(Date.now() + Math.random().toString());
+  const RETRY_BASE_MS = 1000;
+  const RETRY_MAX_MS = 300000;
+  const MAX_ATTEMPTS = 10;
+  const LEASE_MS = 30000;
+  const BEACON_LIMIT = 60000; // sendBeacon payloads share a ~64KB quota
+  const store = createBatchStore();
+  const transport = createTransport(CONFIG.transport);
+  let batchTimer = null;
+  let retryTimer = null;
+  let retryAttempt = 0;
+  let pageEventCount = 0;
+  const pageLoadedAt = Date.now();
+  let stopped = false; // after shutdown() nothing is tracked or sent
+
+  // Path segments that are ids: numbers, UUIDs, Mongo-style hex
+  const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{24,})$/i;
+
+  // Route path for the current URL: hash-router paths (#/..., #!/...) are
+  // appended, then the first matching route template (or id collapsing) applies
+  function currentPath() {
+    let path = window.location.pathname;
+    if (/^#!?\//.test(window.location.hash)) {
+      path = path.replace(/\/$/, '') + window.location.hash.replace(/^#!?/, '').split('?')[0];
+    }
+    return routeTemplate(path) + allowedQuery(window.location.search);
+  }
+
+  function routeTemplate(path) {
+    const segments = path.split('/');
+    
+    for (let i = 0; i < CONFIG.routes.length; i++) {
+      const parts = CONFIG.routes[i].split('/');
+      const wildcard = parts[parts.length - 1] === '*';
+      const fixed = wildcard ? parts.length - 1 : parts.length;
+      
+      if (wildcard ? segments.length < fixed : segments.length !== fixed) continue;
+      
+      let matches = true;
+      for (let j = 0; j < fixed && matches; j++) {
+        matches = parts[j].charAt(0) === ':' ? segments[j] !== '' : parts[j] === segments[j];
+      }
+      if (matches) return CONFIG.routes[i];
+    }
+    
+    if (CONFIG.routeCollapseIds) {
+      return segments.map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment)).join('/');
+    }
+    return path;
+  }
+
+  /**
+   * Track an event - engineered to match cargo_data schema
+   * @param {string} cargoId - Event name (can include metadata via naming convention)
+   * @param {number} value - Numeric value only
+   * @param {Object|string} dims - Context dimensions, e.g. { page: '/pricing' }.
+   *   A string is the legacy ship_id suffix and becomes the `ctx` dimension.
+   */
+  function track(cargoId, value = 1, dims = '') {
+    if (stopped) return;
+    
+    // Ensure value is strictly a number
+    const numericValue = typeof value === 'number' ? value : parseFloat(value) || 0;
+    const dimensions = typeof dims === 'string' ? (dims ? { ctx: dims } : {}) : Object.assign({}, dims);
+    
+    // Consent first: an event that can't be kept uses no budget or sequence number
+    const status = consentStatus(consentCategoryOf(cargoId));
+    if (status === 'denied') return;
+    if (status === 'pending' && (CONFIG.consentMode !== 'buffer' || consentBuffer.length >= CONSENT_BUFFER_LIMIT)) return;
+    
+    reportSessionChange();
+    
+    // Sampling, rate limits and error-storm suppression
+    const sampleRate = admit(cargoId);
+    if (sampleRate === 0) return;
+    if (sampleRate < 1 && CONFIG.schema < 3) reportSampleRate(cargoId);
+    
+    const payload = buildPayload(cargoId, numericValue, dimensions);
+    if (sampleRate < 1 && CONFIG.schema >= 3) payload.rate = sampleRate;
+
+    if (status === 'pending') {
+      consentBuffer.push(payload);
+      return;
+    }
+
+    enqueue(payload);
+  }
+
+  function buildPayload(cargoId, value, dims) {
+    const visitorId = getVisitorId();
+    
+    // Schema v2 folds context into ship_id suffixes
+    if (CONFIG.schema < 3) {
+      const suffix = Object.keys(dims)
+        .map(key => dims[key])
+        .filter(v => v !== '' && v !== null && v !== undefined)
+        .join('_');
+      return {
+        ship_id: suffix ? `${visitorId}_${suffix}` : visitorId,
+        cargo_id: cargoId,
+        value
+      };
+    }
+    
+    // Schema v3 keeps ship_id stable and carries context as typed dimensions
+    const dimensions = { page: currentPage ? currentPage.path : currentPath() };
+    Object.keys(dims).forEach(key => {
+      if (dims[key] !== null && dims[key] !== undefined) dimensions[key] = String(dims[key]);
+    });
+    
+    return {
+      ship_id: visitorId,
+      cargo_id: cargoId,
+      value,
+      ts: Date.now(),
+      seq: nextSequence(),
+      session_id: getSessionId(),
+      dims: dimensions
+    };
+  }
+
+  // Monotonic per session, so the backend can order and dedupe replayed batches
+  function nextSequence() {
+    const session = currentSession();
+    session.seq = (session.seq || 0) + 1;
+    writeSession(session);
+    return session.seq;
+  }
+
+  // Governor: sample rates per event-name pattern, token buckets per event
+  // name and per session, and error-storm suppression. Its own summary
+  // events are exempt so they always get through.
+  const GOVERNOR_EXEMPT = /^(governor\.|error\.suppressed$)/;
+  const STORM_THRESHOLD = 10; // error events per second before suppression
+  const STORM_QUIET_MS = 2000;
+  const SAMPLE_RULES = CONFIG.sample.split(',').map(rule => {
+    const [pattern, rate] = rule.split(':').map(part => part.trim());
+    return {
+      pattern,
+      regex: globToRegExp(pattern),
+      rate: Math.min(Math.max(parseFloat(rate), 0), 1)
+    };
+  }).filter(rule => rule.pattern && !isNaN(rule.rate));
+  const eventBuckets = new Map();
+  let rateLimited = 0;
+  let stormCount = 0;
+  let stormWindowStart = 0;
+  let stormSuppressed = 0;
+  let stormTimer = null;
+
+  // "perf.*" style patterns; * matches anything, everything else is literal
+  function globToRegExp(glob) {
+    return new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+  }
+
+  /**
+   * Decide whether an event may be tracked.
+   * @param {string} cargoId
+   * @returns {number} The sample rate it was admitted at, or 0 if dropped
+   */
+  function admit(cargoId) {
+    if (GOVERNOR_EXEMPT.test(cargoId)) return 1;
+    if (cargoId.indexOf('error.') === 0 && inErrorStorm()) return 0;
+    
+    const rule = SAMPLE_RULES.find(r => r.regex.test(cargoId));
+    const rate = rule ? rule.rate : 1;
+    if (rate < 1 && !inSample(rule)) return 0;
+    
+    if (!eventBuckets.has(cargoId)) eventBuckets.set(cargoId, createBucket(CONFIG.eventRateLimit, 60000));
+    if (!take(eventBuckets.get(cargoId)) || !takeSessionBudget()) {
+      rateLimited++;
+      return 0;
+    }
+    return rate;
+  }
+
+  // Schema v2 rows have no rate field: each sampled pattern's rate is
+  // reported once per session instead, for the backend to reweight by
+  function reportSampleRate(cargoId) {
+    const rule = SAMPLE_RULES.find(r => r.regex.test(cargoId));
+    const session = currentSession();
+    const reported = session.sampled || [];
+    if (!rule || reported.includes(rule.pattern)) return;
+    
+    session.sampled = reported.concat(rule.pattern);
+    writeSession(session);
+    track('governor.sample_rate', rule.rate, { pattern: rule.pattern });
+  }
+
+  // Sessions are sampled as a whole so per-session counters stay coherent
+  function inSample(rule) {
+    const bucket = parseInt(hash(getSessionId() + rule.pattern), 36) % 10000;
+    return bucket < rule.rate * 10000;
+  }
+
+  function createBucket(capacity, windowMs) {
+    return { tokens: capacity, capacity, refillPerMs: capacity / windowMs, updated: Date.now() };
+  }
+
+  function take(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updated) * bucket.refillPerMs);
+    bucket.updated = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens--;
+    return true;
+  }
+
+  // The session's bucket is kept with the session, so its limit holds across
+  // page loads and tabs
+  function takeSessionBudget() {
+    const session = currentSession();
+    const bucket = Object.assign(createBucket(CONFIG.sessionEventLimit, 3600000), session.budget);
+    const allowed = take(bucket);
+    session.budget = { tokens: bucket.tokens, updated: bucket.updated };
+    writeSession(session);
+    return allowed;
+  }
+
+  // A storm lasts until errors stop for STORM_QUIET_MS, then reports one count
+  function inErrorStorm() {
+    const now = Date.now();
+    if (now - stormWindowStart > 1000) {
+      stormWindowStart = now;
+      stormCount = 0;
+    }
+    stormCount++;
+    if (stormCount <= STORM_THRESHOLD && !stormTimer) return false;
+    
+    stormSuppressed++;
+    clearTimeout(stormTimer);
+    stormTimer = setTimeout(endErrorStorm, STORM_QUIET_MS);
+    return true;
+  }
+
+  function endErrorStorm() {
+    clearTimeout(stormTimer);
+    stormTimer = null;
+    if (stormSuppressed > 0) {
+      track('error.suppressed', stormSuppressed);
+      stormSuppressed = 0;
+    }
+  }
+
+  function reportGovernor() {
+    endErrorStorm();
+    if (rateLimited > 0) {
+      track('governor.rate_limited', rateLimited);
+      rateLimited = 0;
+    }
+  }
+
+  function enqueue(event) {
+    const payload = runBeforeSend(event);
+    if (!payload) return;
+    redactPayload(payload);
+    
+    // Enforce the cap across in-memory and awaiting-retry events
+    if (pendingEventCount() >= CONFIG.maxQueueSize) {
+      if (CONFIG.queueEviction === 'newest') {
+        if (CONFIG.debug) console.warn('[Harbor] Queue full, dropped:', payload);
+        return;
+      }
+      evictOldest();
+    }
+
+    QUEUE.push(payload);
+    pageEventCount++;
+    if (CONFIG.debug) console.log(`[Harbor] Queued (${QUEUE.length}):`, payload);
+    emitHook('onEvent', payload);
+    
+    // Auto-flush when batch size reached
+    if (QUEUE.length >= CONFIG.batchSize) {
+      flushBatch();
+    } else if (!batchTimer) {
+      batchTimer = setTimeout(flushBatch, CONFIG.batchInterval);
+    }
+  }
+
+  function pendingEventCount() {
+    return RETRY.reduce((sum, record) => sum + record.events.length, QUEUE.length);
+  }
+
+  function evictOldest() {
+    const oldest = RETRY.shift();
+    if (oldest) {
+      store.remove(oldest.id);
+      if (CONFIG.debug) console.warn(`[Harbor] Queue full, evicted batch of ${oldest.events.length}`);
+    } else {
+      QUEUE.shift();
+    }
+  }
+
+  /**
+   * Delivery transports. A transport implements
+   *   send({ url, headers, body }) -> Promise<{ status, retryAfter }>, rejecting on network errors
+   *   beacon({ url, body }) -> boolean, queued synchronously while the page unloads
+   * Built-ins: 'fetch' (sendBeacon on exit), 'beacon', 'memory' (keeps every
+   * request in `sent`, for tests) and 'console'. init({ transport }) also
+   * accepts a custom object.
+   * @param {string|Object} type
+   * @returns {Object}
+   */
+  function createTransport(type) {
+    if (type && typeof type.send === 'function') {
+      return {
+        send: (request) => type.send(request),
+        beacon: type.beacon ? (request) => type.beacon(request) : (request) => {
+          type.send(request).catch(() => {});
+          return true;
+        }
+      };
+    }
+    
+    const accepted = () => Promise.resolve({ status: 200, retryAfter: null });
+    
+    switch (type) {
+      case 'beacon':
+        return {
+          send: (request) => (sendBeacon(request) ? accepted() : Promise.reject(new Error('Beacon refused'))),
+          beacon: sendBeacon
+        };
+      case 'memory': {
+        const sent = [];
+        const keep = (request) => { sent.push({ url: request.url, headers: request.headers || {}, body: JSON.parse(request.body) }); };
+        return {
+          sent,
+          send: (request) => { keep(request); return accepted(); },
+          beacon: (request) => { keep(request); return true; }
+        };
+      }
+      case 'console':
+        return {
+          send: (request) => { console.log('[Harbor] POST', request.url, JSON.parse(request.body)); return accepted(); },
+          beacon: (request) => { console.log('[Harbor] Beacon', request.url, JSON.parse(request.body)); return true; }
+        };
+      default:
+        return { send: sendFetch, beacon: sendBeacon };
+    }
+  }
+
+  function sendFetch(request) {
+    const deliver = (body, encoding) => fetch(request.url, {
+      method: 'POST',
+      headers: encoding ? Object.assign({ 'Content-Encoding': encoding }, request.headers) : request.headers,
+      body,
+      keepalive: true
+    }).then(response => ({ status: response.status, retryAfter: response.headers.get('Retry-After') }));
+    
+    // gzip is opt-in: the ingest endpoint must accept Content-Encoding (and
+    // allow it in CORS preflights). Exit beacons are always sent uncompressed.
+    if (!CONFIG.compress || !window.CompressionStream) return deliver(request.body, null);
+    
+    const stream = new Blob([request.body]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).blob().then(
+      gzipped => deliver(gzipped, 'gzip'),
+      () => deliver(request.body, null)
+    );
+  }
+
+  // Beacons cannot carry headers, so the API key travels in the query string
+  function sendBeacon(request) {
+    if (!navigator.sendBeacon) return false;
+    const separator = request.url.indexOf('?') === -1 ? '?' : '&';
+    return navigator.sendBeacon(`${request.url}${separator}k=${CONFIG.apiKey}`, request.body);
+  }
+
+  function flushBatch() {
+    if (QUEUE.length === 0) return;
+    
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    
+    const record = {
+      id: hash(Date.now() + Math.random().toString()),
+      harborId: CONFIG.harborId,
+      owner: PAGE_ID,
+      events: QUEUE.splice(0, CONFIG.batchSize),
+      attempts: 0,
+      leaseUntil: Date.now() + LEASE_MS
+    };
+    emitHook('onFlush', record.events);
+    store.put(record);
+    
+    // While backing off, park new batches behind the ones already waiting
+    if (retryTimer) {
+      RETRY.push(record);
+    } else {
+      sendBatch(record);
+    }
+    
+    // Continue processing if more events
+    if (QUEUE.length > 0) {
+      batchTimer = setTimeout(flushBatch, CONFIG.batchInterval);
+    }
+  }
+
+  function sendBatch(record) {
+    record.attempts++;
+    
+    transport.send({
+      url: `${CONFIG.endpoint}/ingest/${CONFIG.harborId}/batch`,
+      headers: { 
+        'Content-Type': 'application/json', 
+        'X-API-Key': CONFIG.apiKey
+      },
+      body: JSON.stringify(record.events)
+    })
+    .then(response => {
+      if (response.status >= 200 && response.status < 300) {
+        store.remove(record.id);
+        retryAttempt = 0;
+        if (CONFIG.debug) console.log(`[Harbor] Flushed ${record.events.length} events`);
+      } else if (response.status === 408 || response.status === 429 || response.status >= 500) {
+        scheduleRetry(record, parseRetryAfter(response.retryAfter));
+      } else {
+        // 400/401/403 will never succeed, so retrying only burns bandwidth
+        store.remove(record.id);
+        if (CONFIG.debug) console.error(`[Harbor] Batch rejected (${response.status}), dropped ${record.events.length} events`);
+      }
+    })
+    .catch(err => {
+      if (CONFIG.debug) console.error('[Harbor] Flush failed:', err);
+      scheduleRetry(record, null);
+    });
+  }
+
+  function scheduleRetry(record, retryAfterMs) {
+    // Opted out while the batch was in flight: nothing is kept
+    if (isOptedOut()) return;
+    if (record.attempts >= MAX_ATTEMPTS) {
+      store.remove(record.id);
+      if (CONFIG.debug) console.warn(`[Harbor] Giving up on batch of ${record.events.length} after ${record.attempts} attempts`);
+      return;
+    }
+    
+    // Exponential backoff with jitter, unless the server said when to come back
+    const backoff = Math.min(RETRY_BASE_MS * Math.pow(2, retryAttempt), RETRY_MAX_MS);
+    const delay = retryAfterMs !== null ? Math.min(retryAfterMs, RETRY_MAX_MS) : backoff / 2 + Math.random() * backoff / 2;
+    
+    record.leaseUntil = Date.now() + delay + LEASE_MS;
+    store.put(record);
+    RETRY.push(record);
+    
+    // Stopped: the stored batch is replayed on a later page load
+    if (retryTimer || stopped) return;
+    retryAttempt++;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      RETRY.splice(0).forEach(sendBatch);
+    }, delay);
+    if (CONFIG.debug) console.log(`[Harbor] Retrying in ${Math.round(delay)}ms`);
+  }
+
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Durable batch storage: IndexedDB with a localStorage fallback
+  function createBatchStore() {
+    const storageKey = '_ht_batches';
+    const readLocal = () => {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey)) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+    const writeLocal = (records) => {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(records));
+      } catch (e) {}
+    };
+    const local = {
+      load: () => Promise.resolve(Object.values(readLocal())),
+      put: (record) => {
+        const records = readLocal();
+        records[record.id] = record;
+        writeLocal(records);
+      },
+      remove: (id) => {
+        const records = readLocal();
+        delete records[id];
+        writeLocal(records);
+      },
+      clear: () => {
+        try {
+          localStorage.removeItem(storageKey);
+        } catch (e) {}
+      }
+    };
+    
+    if (!window.indexedDB) return local;
+    
+    let dbPromise = null;
+    const request = (mode, fn) => {
+      dbPromise = dbPromise || new Promise((resolve, reject) => {
+        const open = indexedDB.open('harbor', 1);
+        open.onupgradeneeded = () => open.result.createObjectStore('batches', { keyPath: 'id' });
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+      });
+      return dbPromise.then(db => new Promise((resolve, reject) => {
+        const req = fn(db.transaction('batches', mode).objectStore('batches'));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }));
+    };
+    
+    // Private browsing modes may refuse IndexedDB; fall back per operation
+    return {
+      load: () => request('readonly', s => s.getAll()).catch(() => local.load()),
+      put: (record) => { request('readwrite', s => s.put(record)).catch(() => local.put(record)); },
+      remove: (id) => { request('readwrite', s => s.delete(id)).catch(() => local.remove(id)); },
+      clear: () => {
+        local.clear();
+        request('readwrite', s => s.clear()).catch(() => {});
+      }
+    };
+  }
+
+  // Revoked consent also reaches batches waiting for a retry, including
+  // the ones other tabs and earlier page loads stored
+  function purgeBatches(category) {
+    const keep = event => consentCategoryOf(event.cargo_id) !== category;
+    RETRY.forEach(record => { record.events = record.events.filter(keep); });
+    removeWhere(RETRY, record => record.events.length === 0);
+    
+    store.load().then(records => records.forEach(record => {
+      const events = record.events.filter(keep);
+      if (events.length === record.events.length) return;
+      if (events.length === 0) {
+        store.remove(record.id);
+      } else {
+        record.events = events;
+        store.put(record);
+      }
+    }));
+  }
+
+  // Replay batches an earlier page load could not deliver
+  store.load().then(records => {
+    if (stopped) return;
+    const now = Date.now();
+    records.forEach(record => {
+      if (record.harborId !== CONFIG.harborId || record.owner === PAGE_ID || record.leaseUntil > now) return;
+      record.owner = PAGE_ID;
+      record.leaseUntil = now + LEASE_MS;
+      store.put(record);
+      RETRY.push(record);
+    });
+    if (RETRY.length > 0 && !retryTimer) {
+      if (CONFIG.debug) console.log(`[Harbor] Replaying ${RETRY.length} stored batches`);
+      RETRY.splice(0).forEach(sendBatch);
+    }
+  });
+
+  // Drain the queue with beacons sized under the browser's keepalive budget.
+  // Chunks the browser refuses are stored and replayed on the next page load.
+  function flushOnExit() {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+    if (QUEUE.length === 0) return;
+    
+    chunkEvents(QUEUE.splice(0), BEACON_LIMIT).forEach(events => {
+      emitHook('onFlush', events);
+      const sent = transport.beacon({
+        url: `${CONFIG.endpoint}/ingest/${CONFIG.harborId}`,
+        body: JSON.stringify(events)
+      });
+      if (!sent) {
+        store.put({
+          id: hash(Date.now() + Math.random().toString()),
+          harborId: CONFIG.harborId,
+          owner: PAGE_ID,
+          events,
+          attempts: 0,
+          leaseUntil: 0
+        });
+      }
+    });
+  }
+
+  function chunkEvents(events, limit) {
+    const chunks = [];
+    let chunk = [];
+    let size = 2;
+    
+    events.forEach(event => {
+      const eventSize = JSON.stringify(event).length + 1;
+      if (chunk.length > 0 && size + eventSize > limit) {
+        chunks.push(chunk);
+        chunk = [];
+        size = 2;
+      }
+      chunk.push(event);
+      size += eventSize;
+    });
+    
+    if (chunk.length > 0) chunks.push(chunk);
+    return chunks;
+  }
+
+  // ============================================
+  // 6. PLUGINS & EVENT PIPELINE
+  // ============================================
+  // Plugins register listeners, timers and patches through their context so
+  // they can be stopped again when consent for their category is revoked.
+  const PLUGINS = [];
+  const BEFORE_SEND = [];
+  const EXIT_HOOKS = [];
+  const CORE_CLEANUPS = [];
+  let pluginsStarted = false;
+  let currentPage = null;
+
+  // Core listeners outside any plugin; shutdown() removes them
+  function listen(target, type, fn, options) {
+    target.addEventListener(type, fn, options);
+    CORE_CLEANUPS.push(() => target.removeEventListener(type, fn, options));
+  }
+
+  /**
+   * Register a plugin. Built-in modules use this same interface.
+   * @param {Object} plugin
+   * @param {string} plugin.name - Unique name; duplicates are ignored
+   * @param {string} [plugin.category] - Consent category, defaults to 'analytics'
+   * @param {boolean|Function} [plugin.enabled] - Pass false to register without starting, or a
+   *   function that is checked again whenever consent or configure() changes
+   * @param {Function} [plugin.setup] - Receives a context with on/every/patch/cleanup/final/sessionEnd/track
+   * @param {Function} [plugin.onPage] - Receives { path, url, title } on every page view
+   * @param {Function} [plugin.onPageEnd] - Receives the previous page on each SPA navigation
+   * @param {Function} [plugin.onEvent] - Receives each payload as it enters the queue
+   * @param {Function} [plugin.onFlush] - Receives each batch before it is sent
+   * @param {Function} [plugin.beforeSend] - Returns the payload (or a replacement), or false to drop it
+   * @param {Function} [plugin.teardown] - Called when the plugin stops
+   */
+  function use(plugin) {
+    if (!plugin || !plugin.name || PLUGINS.some(mod => mod.name === plugin.name)) {
+      if (CONFIG.debug) console.warn('[Harbor] Plugin ignored (missing or duplicate name):', plugin);
+      return;
+    }
+    
+    PLUGINS.push({
+      plugin,
+      name: plugin.name,
+      category: plugin.category || 'analytics',
+      enabled: typeof plugin.enabled === 'function' ? plugin.enabled : () => plugin.enabled !== false,
+      active: false,
+      cleanups: [],
+      handlers: []
+    });
+    if (pluginsStarted) syncPlugins();
+  }
+
+  // Built-in modules are plugins with only a setup hook
+  function defineModule(name, category, enabled, setup) {
+    use({ name, category, enabled, setup });
+  }
+
+  function createContext(mod) {
+    return {
+      on(target, type, fn, options) {
+        target.addEventListener(type, fn, options);
+        mod.cleanups.push(() => target.removeEventListener(type, fn, options));
+      },
+      every(fn, ms) {
+        const id = setInterval(fn, ms);
+        mod.cleanups.push(() => clearInterval(id));
+      },
+      patch(obj, key, wrap) {
+        const original = obj[key];
+        obj[key] = wrap(original);
+        mod.cleanups.push(() => { obj[key] = original; });
+      },
+      cleanup(fn) {
+        mod.cleanups.push(fn);
+      },
+      // Same as the plugin page hooks, for modules that keep state in setup()
+      onPage(fn) {
+        addHandler(mod, 'onPage', fn);
+      },
+      onPageEnd(fn) {
+        addHandler(mod, 'onPageEnd', fn);
+      },
+      // Runs once when the page is unloaded (pagehide), before the exit flush
+      final(fn) {
+        EXIT_HOOKS.push(fn);
+        mod.cleanups.push(() => removeWhere(EXIT_HOOKS, hook => hook === fn));
+      },
+      // Runs when the session times out while the page is open, under its ids
+      sessionEnd(fn) {
+        SESSION_END_HOOKS.push(fn);
+        mod.cleanups.push(() => removeWhere(SESSION_END_HOOKS, hook => hook === fn));
+      },
+      track,
+      config: CONFIG
+    };
+  }
+
+  function addHandler(mod, hook, fn) {
+    const handler = { hook, fn };
+    mod.handlers.push(handler);
+    mod.cleanups.push(() => removeWhere(mod.handlers, h => h === handler));
+  }
+
+  function syncPlugins() {
+    if (stopped) return;
+    pluginsStarted = true;
+    PLUGINS.forEach(mod => {
+      const allowed = !!mod.enabled() && consentStatus(mod.category) === 'granted';
+      
+      if (allowed && !mod.active) {
+        startPlugin(mod);
+      } else if (!allowed && mod.active) {
+        stopPlugin(mod);
+      }
+    });
+  }
+
+  function startPlugin(mod) {
+    const { plugin } = mod;
+    mod.active = true;
+    
+    if (typeof plugin.beforeSend === 'function') {
+      const fn = plugin.beforeSend.bind(plugin);
+      BEFORE_SEND.push(fn);
+      mod.cleanups.push(() => removeWhere(BEFORE_SEND, f => f === fn));
+    }
+    
+    try {
+      if (typeof plugin.setup === 'function') plugin.setup(createContext(mod));
+      // Late starters still learn about the page they were loaded on
+      if (currentPage && typeof plugin.onPage === 'function') plugin.onPage(currentPage);
+    } catch (e) {
+      if (CONFIG.debug) console.error(`[Harbor] Plugin ${mod.name} failed:`, e);
+    }
+  }
+
+  function stopPlugin(mod) {
+    mod.active = false;
+    mod.cleanups.splice(0).forEach(fn => { try { fn(); } catch (e) {} });
+    
+    try {
+      if (typeof mod.plugin.teardown === 'function') mod.plugin.teardown();
+    } catch (e) {
+      if (CONFIG.debug) console.error(`[Harbor] Plugin ${mod.name} teardown failed:`, e);
+    }
+    if (CONFIG.debug) console.log(`[Harbor] Plugin ${mod.name} stopped`);
+  }
+
+  function emitHook(hook, arg) {
+    PLUGINS.forEach(mod => {
+      if (!mod.active) return;
+      
+      const fns = mod.handlers.filter(h => h.hook === hook).map(h => h.fn);
+      if (typeof mod.plugin[hook] === 'function') fns.unshift(mod.plugin[hook].bind(mod.plugin));
+      
+      fns.forEach(fn => {
+        try {
+          fn(arg);
+        } catch (e) {
+          if (CONFIG.debug) console.error(`[Harbor] Plugin ${mod.name} ${hook} failed:`, e);
+        }
+      });
+    });
+  }
+
+  /**
+   * Register a beforeSend step. Steps run in order on every payload and may
+   * mutate it, return a replacement, or return false/null to drop it.
+   * @param {Function} fn - (payload) => payload | false | null | undefined
+   */
+  function beforeSend(fn) {
+    if (typeof fn === 'function') BEFORE_SEND.push(fn);
+  }
+
+  function runBeforeSend(payload) {
+    let current = payload;
+    for (let i = 0; i < BEFORE_SEND.length; i++) {
+      try {
+        const result = BEFORE_SEND[i](current);
+        if (result === false || result === null) {
+          if (CONFIG.debug) console.log('[Harbor] Dropped by beforeSend:', current);
+          return null;
+        }
+        if (result && typeof result === 'object') current = result;
+      } catch (e) {
+        if (CONFIG.debug) console.error('[Harbor] beforeSend failed:', e);
+      }
+    }
+    return current;
+  }
+
+  // Bot & automation detection. Automation markers (webdriver, headless
+  // user agents, driver globals) are decisive; weaker environment hints only
+  // count while the visitor has shown no human input. Synthetic events
+  // (isTrusted false) never count as human.
+  const AUTOMATION_UA = /headless|phantomjs|puppeteer|playwright|selenium|slimerjs|lighthouse|crawl|spider|slurp|bingpreview|facebookexternalhit|[a-z]*bot\b/i;
+  const botSignals = { moves: 0, turns: 0, lastDx: 0, lastDy: 0, scrolls: [], keys: 0, touches: 0 };
+  const automation = detectAutomation();
+  const botHints = detectBotHints();
+
+  function detectAutomation() {
+    if (navigator.webdriver === true) return 'webdriver';
+    if (AUTOMATION_UA.test(navigator.userAgent || '')) return 'user_agent';
+    if (window.callPhantom || window._phantom || window.__nightmare || window.domAutomation ||
+      Object.keys(document).some(key => /^\$cdc_|^\$wdc_/.test(key))) return 'driver';
+    return '';
+  }
+
+  function detectBotHints() {
+    let hints = 0;
+    if (!navigator.languages || navigator.languages.length === 0) hints++;
+    if (window.outerWidth === 0 && window.outerHeight === 0) hints++;
+    if (/Chrome/.test(navigator.userAgent || '') && !window.chrome) hints++;
+    if (navigator.plugins && navigator.plugins.length === 0 && !/Mobile|Android/.test(navigator.userAgent || '')) hints++;
+    return hints;
+  }
+
+  const observeHuman = (type, fn) => listen(document, type, (e) => {
+    if (e.isTrusted) fn(e);
+  }, { capture: true, passive: true });
+
+  // Real pointers change direction; scripted ones tend to move in straight lines
+  observeHuman('mousemove', (e) => {
+    const dx = Math.sign(e.movementX || 0);
+    const dy = Math.sign(e.movementY || 0);
+    if (botSignals.moves > 0 && (dx !== botSignals.lastDx || dy !== botSignals.lastDy)) botSignals.turns++;
+    botSignals.moves++;
+    botSignals.lastDx = dx;
+    botSignals.lastDy = dy;
+  });
+  observeHuman('scroll', () => {
+    if (botSignals.scrolls.length < 20) botSignals.scrolls.push(Date.now());
+  });
+  observeHuman('keydown', () => { botSignals.keys++; });
+  observeHuman('focusin', () => { botSignals.keys++; });
+  observeHuman('touchstart', () => { botSignals.touches++; });
+
+  /**
+   * Humanness from 0 (no sign of a person) to 100, built from pointer
+   * movement, scroll cadence, keyboard/focus and touch input.
+   * @returns {number}
+   */
+  function humanness() {
+    let score = 0;
+    if (botSignals.moves >= 3) score += botSignals.turns >= 2 ? 35 : 10;
+    
+    // Irregular gaps between scroll events: wheels and fingers, not scripts
+    const gaps = botSignals.scrolls.slice(1).map((t, i) => t - botSignals.scrolls[i]);
+    if (gaps.length >= 3) {
+      const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+      const spread = Math.sqrt(gaps.reduce((sum, gap) => sum + Math.pow(gap - mean, 2), 0) / gaps.length);
+      score += mean > 0 && spread / mean > 0.2 ? 25 : 5;
+    }
+    
+    if (botSignals.keys > 0) score += 20;
+    if (botSignals.touches > 0) score += 20;
+    return Math.min(100, score);
+  }
+
+  function isLikelyBot() {
+    return !!automation || (botHints >= 2 && humanness() < 20);
+  }
+
+  // Policy for likely bots: 'tag' adds a bot dimension, 'drop' discards their
+  // events, 'sample' keeps botSample of their sessions (tagged), 'off' ignores them
+  function applyBotPolicy(payload) {
+    if (CONFIG.botPolicy === 'off' || !isLikelyBot()) return payload;
+    if (CONFIG.botPolicy === 'drop') return null;
+    if (CONFIG.botPolicy === 'sample') {
+      const bucket = parseInt(hash(getSessionId() + ':bot'), 36) % 10000;
+      if (bucket >= CONFIG.botSample * 10000) return null;
+      if (payload.dims) payload.rate = (payload.rate || 1) * CONFIG.botSample;
+    }
+    
+    if (payload.dims) {
+      payload.dims.bot = automation || 'suspect';
+    } else {
+      payload.ship_id += '_bot';
+    }
+    return payload;
+  }
+
+  beforeSend(applyBotPolicy);
+
+  // ============================================
+  // 7. DEVICE & ENVIRONMENT CONTEXT (As Metrics)
+  // ============================================
+  function trackDeviceContext() {
+    track('device.viewport_width', window.innerWidth);
+    track('device.viewport_height', window.innerHeight);
+    track('device.screen_width', window.screen.width);
+    track('device.screen_height', window.screen.height);
+    track('device.pixel_ratio', Math.round((window.devicePixelRatio || 1) * 100));
+    track('device.touch_points', navigator.maxTouchPoints || 0);
+    track('device.memory_gb', navigator.deviceMemory || 0);
+    track('device.cpu_cores', navigator.hardwareConcurrency || 0);
+    
+    // Connection info
+    const conn = navigator.connection;
+    if (conn) {
+      track('connection.rtt_ms', conn.rtt || 0);
+      track('connection.downlink_mbps', Math.round((conn.downlink || 0) * 100));
+      track('connection.save_data', conn.saveData ? 1 : 0);
+    }
+  }
+
+  // Enrich with battery status (async)
+  if (navigator.getBattery) {
+    navigator.getBattery().then(battery => {
+      track('device.battery_level', Math.round(battery.level * 100));
+      track('device.battery_charging', battery.charging ? 1 : 0);
+    });
+  }
+
+  // A new session starts with its attribution, then the device context
+  reportSessionChange();
+  trackDeviceContext();
+
+  // ============================================
+  // 8. DEEP TRACKING MODULES (Schema Compliant)
+  // ============================================
+
+  // Short element description used for attribution dimensions
+  function describeElement(el) {
+    if (!el || el.nodeType !== 1) return '';
+    if (isMasked(el)) return 'masked';
+    
+    const describe = (node) => {
+      const tag = node.tagName.toLowerCase();
+      if (node.id) return `${tag}#${node.id}`;
+      const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+      return className ? `${tag}.${className}` : tag;
+    };
+    
+    const parent = el.parentElement;
+    if (el.id || !parent || parent === document.body) return describe(el);
+    return `${describe(parent)} > ${describe(el)}`;
+  }
+
+  // Stable short selector: anchored at the nearest data attribute or
+  // hand-written id, otherwise tag:nth-of-type steps. Classes are skipped,
+  // they change with every CSS refactor.
+  const SELECTOR_ATTRIBUTES = ['data-harbor-id', 'data-harbor-event', 'data-track', 'data-testid', 'data-test', 'data-cy'];
+  const GENERATED_ID = /\d{3,}|^:|^(ember|react|vue|mui|radix|headlessui)[-_:]?/i;
+
+  function stableSelector(el) {
+    if (!el || el.nodeType !== 1) return '';
+    const mask = el.closest('[data-harbor-mask]');
+    if (mask) el = mask;
+    
+    const steps = [];
+    for (let node = el; node && node !== document.body && node !== document.documentElement && steps.length < 5; node = node.parentElement) {
+      const attribute = SELECTOR_ATTRIBUTES.find(name => node.hasAttribute(name));
+      if (attribute) {
+        steps.unshift(`[${attribute}="${node.getAttribute(attribute).slice(0, 40)}"]`);
+        break;
+      }
+      if (node.id && !GENERATED_ID.test(node.id)) {
+        steps.unshift(`#${node.id}`);
+        break;
+      }
+      
+      const tag = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === node.tagName) : [];
+      steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+    }
+    return steps.join(' > ');
+  }
+
+  // Active engagement engine. A visitor is active from any input (pointer,
+  // keyboard, touch, scroll) or while media plays, until idleTimeout passes
+  // without input or the tab is hidden. Engaged time accrues only while
+  // active, per page and per session (shared across tabs).
+  let pageLoadTime = Date.now();
+  const IDLE_MS = CONFIG.idleTimeout * 1000;
+  const playingMedia = new Set();
+  let lastActivity = Date.now();
+  let activeSince = 0;
+  let pageEngagedMs = 0;
+  let idleTimer = null;
+
+  function markActive() {
+    if (document.hidden) return;
+    const now = Date.now();
+    if (activeSince && now - lastActivity < 1000) return;
+    touchSession();
+    lastActivity = now;
+    if (!activeSince) activeSince = now;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(goIdle, IDLE_MS);
+  }
+
+  function goIdle() {
+    idleTimer = null;
+    // Playing media keeps the visitor engaged without any input
+    if (playingMedia.size > 0) {
+      touchSession();
+      lastActivity = Date.now();
+      idleTimer = setTimeout(goIdle, IDLE_MS);
+      return;
+    }
+    pauseEngagement();
+  }
+
+  function pauseEngagement() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (!activeSince) return;
+    
+    const ms = Date.now() - activeSince;
+    activeSince = 0;
+    pageEngagedMs += ms;
+    const session = currentSession();
+    session.engaged = (session.engaged || 0) + ms;
+    writeSession(session);
+  }
+
+  function setMediaPlaying(key, playing) {
+    if (playing) {
+      playingMedia.add(key);
+    } else {
+      playingMedia.delete(key);
+    }
+    markActive();
+  }
+
+  function engagedMs() {
+    return pageEngagedMs + (activeSince ? Date.now() - activeSince : 0);
+  }
+
+  function idleMs() {
+    return Date.now() - lastActivity;
+  }
+
+  // A navigation is activity too; the running stretch moves to the new page
+  function startPageEngagement() {
+    pauseEngagement();
+    pageEngagedMs = 0;
+    markActive();
+  }
+
+  ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel', 'scroll'].forEach(type => {
+    listen(document, type, markActive, { capture: true, passive: true });
+  });
+  listen(document, 'play', (e) => setMediaPlaying(e.target, true), true);
+  ['pause', 'ended'].forEach(type => {
+    listen(document, type, (e) => setMediaPlaying(e.target, false), true);
+  });
+  listen(document, 'visibilitychange', () => {
+    if (document.hidden) {
+      pauseEngagement();
+    } else {
+      markActive();
+    }
+  });
+
+  // A. PAGEVIEWS & SPA ROUTER
+  // Every virtual navigation closes out the previous page (onPageEnd), then
+  // opens the next one (onPage). Repeated signals for one URL are ignored.
+  let pageKey = null;
+  
+  const logPage = () => {
+    const hashRoute = /^#!?\//.test(window.location.hash) ? window.location.hash : '';
+    // Removing campaign parameters from the URL is not a new page
+    const search = withoutAttribution(window.location.search);
+    const key = window.location.pathname + search + hashRoute;
+    if (key === pageKey) return;
+    pageKey = key;
+    
+    if (currentPage) {
+      const timeOnPreviousPage = Date.now() - pageLoadTime;
+      if (timeOnPreviousPage > 100) {
+        track('page.time_on_page_sec', Math.round(timeOnPreviousPage / 1000), { page: currentPage.path });
+      }
+      track('page.engaged_sec', Math.round(engagedMs() / 1000), { page: currentPage.path });
+      emitHook('onPageEnd', currentPage);
+    }
+    pageLoadTime = Date.now();
+    startPageEngagement();
+    
+    const pathname = currentPath();
+    const hasQuery = search ? 1 : 0;
+    const hasHash = window.location.hash ? 1 : 0;
+    currentPage = { path: pathname, url: sanitizeUrl(window.location.href), title: document.title };
+    
+    // Use pathname in ship_id for page-specific tracking
+    track('pageview', 1, { page: pathname });
+    track('pageview.has_query', hasQuery, { page: pathname });
+    track('pageview.has_hash', hasHash, { page: pathname });
+    
+    emitHook('onPage', currentPage);
+  };
+  
+  defineModule('pageviews', 'analytics', true, (m) => {
+    logPage();
+    ['pushState', 'replaceState'].forEach(method => {
+      m.patch(history, method, (original) => function(...args) {
+        const result = original.apply(this, args);
+        logPage();
+        return result;
+      });
+    });
+    m.on(window, 'popstate', logPage);
+    m.on(window, 'hashchange', logPage);
+    
+    // Navigation API covers router transitions that bypass the history methods
+    if (window.navigation) m.on(window.navigation, 'navigatesuccess', logPage);
+  });
+
+  // B. ENHANCED FORM TRACKING
+  // Forms are identified by data-harbor-form, or by their action and field
+  // names. A form that was filled in but not submitted when the page is left
+  // (or the SPA navigates away) is reported as form.abandoned.
+  defineModule('forms', 'analytics', () => CONFIG.trackForms, (m) => {
+    const formStates = new Map();
+    const NON_FIELDS = /^(submit|button|reset|image|hidden)$/;
+    const INVALID_REASONS = {
+      valueMissing: 'required', typeMismatch: 'type', patternMismatch: 'pattern', tooShort: 'length',
+      tooLong: 'length', rangeUnderflow: 'range', rangeOverflow: 'range', stepMismatch: 'step',
+      badInput: 'bad_input', customError: 'custom'
+    };
+    
+    const isField = (el) => /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName) && !NON_FIELDS.test(el.type);
+    const fieldName = (el) => el.name || el.id || el.type || el.tagName.toLowerCase();
+    const fieldsOf = (form) => Array.from(form.elements).filter(isField);
+    
+    const formIdOf = (form) => {
+      const declared = form.getAttribute('data-harbor-form');
+      if (declared) return declared;
+      let action = '';
+      try {
+        action = routeTemplate(new URL(form.getAttribute('action') || '', window.location.href).pathname);
+      } catch (e) {}
+      return 'form_' + hash(action + '|' + fieldsOf(form).map(fieldName).join(','));
+    };
+    
+    const stateOf = (form) => {
+      if (!formStates.has(form)) {
+        formStates.set(form, {
+          id: formIdOf(form),
+          started_at: Date.now(),
+          fields: new Map(),
+          fields_focused: new Set(),
+          fields_changed: new Set(),
+          lastField: '',
+          focused: null,
+          reported: false
+        });
+      }
+      return formStates.get(form);
+    };
+    
+    const fieldStateOf = (state, name) => {
+      if (!state.fields.has(name)) state.fields.set(name, { dwell: 0, focusedAt: 0, focusCount: 0, corrections: 0, deleting: false });
+      return state.fields.get(name);
+    };
+    
+    const blurField = (state) => {
+      if (!state.focused) return;
+      const field = state.fields.get(state.focused);
+      if (field.focusedAt) field.dwell += Date.now() - field.focusedAt;
+      field.focusedAt = 0;
+      state.focused = null;
+    };
+    
+    // Per-field summary once the form is submitted or abandoned
+    const reportFields = (state) => {
+      blurField(state);
+      state.fields.forEach((field, name) => {
+        const dims = { form: state.id, field: name };
+        if (field.dwell > 0) track('form.field.dwell_ms', field.dwell, dims);
+        if (field.focusCount > 1) track('form.field.refocus', field.focusCount - 1, dims);
+        if (field.corrections > 0) track('form.field.corrections', field.corrections, dims);
+      });
+      state.fields.clear();
+    };
+    
+    m.on(document, 'focusin', (e) => {
+      const el = e.target;
+      if (!isField(el)) return;
+      const fieldType = el.type || el.tagName.toLowerCase();
+      
+      if (!el.form) {
+        track(`form.focus.${fieldType}`, 0, { form: 'no_form' });
+        return;
+      }
+      
+      const state = stateOf(el.form);
+      const name = fieldName(el);
+      blurField(state);
+      const field = fieldStateOf(state, name);
+      field.focusCount++;
+      field.focusedAt = Date.now();
+      state.focused = name;
+      state.lastField = name;
+      state.fields_focused.add(name);
+      
+      track(`form.focus.${fieldType}`, secondsSince(state.started_at), { form: state.id });
+      track('form.fields_focused_count', state.fields_focused.size, { form: state.id });
+    }, true);
+    
+    m.on(document, 'focusout', (e) => {
+      if (isField(e.target) && e.target.form && formStates.has(e.target.form)) blurField(formStates.get(e.target.form));
+    }, true);
+    
+    // Dwell pauses while the tab is hidden; the field stays focused
+    m.on(document, 'visibilitychange', () => {
+      formStates.forEach(state => {
+        const field = state.focused && state.fields.get(state.focused);
+        if (!field) return;
+        if (document.hidden) {
+          if (field.focusedAt) field.dwell += Date.now() - field.focusedAt;
+          field.focusedAt = 0;
+        } else {
+          field.focusedAt = Date.now();
+        }
+      });
+    });
+    
+    // A correction is a run of deletions inside a field
+    m.on(document, 'input', (e) => {
+      const el = e.target;
+      if (!isField(el) || !el.form) return;
+      const state = stateOf(el.form);
+      const field = fieldStateOf(state, fieldName(el));
+      const deleting = typeof e.inputType === 'string' && e.inputType.indexOf('delete') === 0;
+      if (deleting && !field.deleting) field.corrections++;
+      field.deleting = deleting;
+      state.lastField = fieldName(el);
+    }, true);
+
+    m.on(document, 'change', (e) => {
+      const el = e.target;
+      if (!isField(el)) return;
+      const fieldType = el.type || el.tagName.toLowerCase();
+      const valueLength = el.value ? el.value.length : 0;
+      const state = el.form ? stateOf(el.form) : null;
+      
+      if (state) {
+        state.fields_changed.add(fieldName(el));
+        state.lastField = fieldName(el);
+      }
+      track(`form.change.${fieldType}`, valueLength, { form: state ? state.id : 'no_form' });
+    }, true);
+    
+    // Native constraint validation; `invalid` does not bubble
+    m.on(document, 'invalid', (e) => {
+      const el = e.target;
+      if (!isField(el)) return;
+      const reason = Object.keys(INVALID_REASONS).find(key => el.validity && el.validity[key]);
+      track('form.invalid', 1, {
+        form: el.form ? stateOf(el.form).id : 'no_form',
+        field: fieldName(el),
+        reason: reason ? INVALID_REASONS[reason] : 'invalid'
+      });
+    }, true);
+    
+    m.on(document, 'submit', (e) => {
+      const form = e.target;
+      const state = formStates.get(form);
+      
+      if (state) {
+        const fieldCount = fieldsOf(form).length;
+        const completionRate = fieldCount ? Math.round((state.fields_changed.size / fieldCount) * 100) : 0;
+        
+        track('form.submit', secondsSince(state.started_at), { form: state.id });
+        track('form.completion_rate', completionRate, { form: state.id });
+        track('form.fields_changed', state.fields_changed.size, { form: state.id });
+        reportFields(state);
+        
+        formStates.delete(form);
+      } else {
+        track('form.submit', 0, { form: formIdOf(form) });
+      }
+    }, true);
+    
+    // Filled in but never submitted: reported when the page is left or the
+    // SPA route changes. Merely hiding the tab (fetching a code from email, a
+    // password manager) keeps the form and its field stats open.
+    const reportAbandoned = () => {
+      formStates.forEach(state => {
+        if (state.reported || state.fields_changed.size === 0) return;
+        state.reported = true;
+        track('form.abandoned', secondsSince(state.started_at), { form: state.id, last_field: state.lastField });
+        reportFields(state);
+      });
+    };
+    
+    m.final(reportAbandoned);
+    m.onPageEnd(() => {
+      reportAbandoned();
+      formStates.clear();
+    });
+  });
+
+  // C. ENHANCED ERROR TRACKING
+  // Numeric events carry a stable fingerprint; the readable detail (message,
+  // frames, breadcrumbs) goes once per fingerprint to the error-detail endpoint.
+  defineModule('errors', 'errors', () => CONFIG.trackErrors, (m) => {
+    const MAX_BREADCRUMBS = 20;
+    const MAX_DETAILS = 25;
+    const errorCounts = new Map();
+    const reported = new Set();
+    const breadcrumbs = [];
+    
+    const addBreadcrumb = (type, message) => {
+      breadcrumbs.push({ type, message: redact(String(message).slice(0, 100), 'breadcrumb'), ts: Date.now() });
+      if (breadcrumbs.length > MAX_BREADCRUMBS) breadcrumbs.shift();
+    };
+    
+    // Chrome: "    at fn (file:1:2)" or "    at file:1:2"; Firefox/Safari: "fn@file:1:2"
+    const parseStack = (stack) => {
+      if (!stack) return [];
+      return String(stack).split('\n').map(line => {
+        const match = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/) ||
+          line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+        if (!match) return null;
+        return {
+          fn: match[1] || '<anonymous>',
+          file: match[2].split(/[?#]/)[0],
+          line: parseInt(match[3]),
+          col: parseInt(match[4])
+        };
+      }).filter(Boolean).slice(0, 20);
+    };
+    
+    // Function and file names survive rebuilds; line numbers and content hashes don't
+    const fingerprint = (type, message, frames) => {
+      const normalized = redact(String(message || ''), 'error').replace(/\d+/g, '0').slice(0, 200);
+      const top = frames.slice(0, 3).map(frame => {
+        const file = frame.file.split('/').pop().replace(/[.-][0-9a-f]{6,}(?=\.)/i, '');
+        return `${frame.fn}@${file}`;
+      });
+      return hash([type, normalized].concat(top).join('|'));
+    };
+    
+    const count = (id) => {
+      const total = (errorCounts.get(id) || 0) + 1;
+      errorCounts.set(id, total);
+      return total;
+    };
+    
+    const sendDetail = (detail) => {
+      if (reported.has(detail.fingerprint) || reported.size >= MAX_DETAILS) return;
+      reported.add(detail.fingerprint);
+      
+      transport.send({
+        url: `${CONFIG.errorEndpoint || CONFIG.endpoint}/ingest/${CONFIG.harborId}/errors`,
+        headers: { 
+          'Content-Type': 'application/json', 
+          'X-API-Key': CONFIG.apiKey
+        },
+        body: JSON.stringify(Object.assign({
+          session_id: getSessionId(),
+          page: currentPage ? currentPage.path : currentPath(),
+          ts: Date.now(),
+          breadcrumbs: breadcrumbs.slice()
+        }, detail))
+      }).catch(err => {
+        if (CONFIG.debug) console.warn('[Harbor] Error detail failed:', err);
+      });
+    };
+    
+    const reportError = (kind, error, fallbackMessage) => {
+      const type = (error && error.name) || 'Error';
+      const message = (error && error.message) || fallbackMessage || String(error);
+      const frames = parseStack(error && error.stack);
+      const id = fingerprint(type, message, frames);
+      
+      sendDetail({ fingerprint: id, kind, type, message: redact(String(message).slice(0, 500), 'error'), frames });
+      return id;
+    };
+    
+    // Capture phase also sees failed <img>/<script>/<link> loads, which don't bubble
+    m.on(window, 'error', (e) => {
+      const el = e.target;
+      if (el && el !== window && el.nodeType === 1) {
+        const tag = el.tagName.toLowerCase();
+        const src = sanitizeUrl(el.currentSrc || el.src || el.href || '');
+        const id = hash(`resource|${tag}|${src}`);
+        
+        track('error.resource', count(id), { error: id, element: tag });
+        sendDetail({ fingerprint: id, kind: 'resource', type: 'ResourceError', message: `${tag} failed to load`, url: src });
+        return;
+      }
+      
+      const id = reportError('js', e.error, e.message);
+      track('error.js', count(id), { error: id });
+      track('error.line', e.lineno || 0, { error: id });
+      track('error.col', e.colno || 0, { error: id });
+    }, true);
+    
+    m.on(window, 'unhandledrejection', (e) => {
+      const id = reportError('promise', e.reason, e.reason ? String(e.reason) : 'unknown');
+      track('error.promise', 1, { error: id });
+    });
+    
+    m.on(document, 'securitypolicyviolation', (e) => {
+      const blocked = /^(inline|eval|data|blob)$/.test(e.blockedURI) ? e.blockedURI : sanitizeUrl(e.blockedURI);
+      const id = hash(`csp|${e.effectiveDirective}|${blocked}`);
+      
+      track('error.csp', count(id), { error: id, directive: e.effectiveDirective });
+      sendDetail({
+        fingerprint: id,
+        kind: 'csp',
+        type: 'SecurityPolicyViolation',
+        message: `${e.effectiveDirective} blocked ${blocked}`,
+        frames: e.sourceFile ? [{ fn: '<csp>', file: sanitizeUrl(e.sourceFile), line: e.lineNumber, col: e.columnNumber }] : []
+      });
+    });
+    
+    // Breadcrumbs: navigations, clicks and console calls leading up to an error
+    m.onPage((page) => addBreadcrumb('navigation', page.path));
+    m.on(document, 'click', (e) => addBreadcrumb('click', describeElement(e.target)), true);
+    
+    ['log', 'info', 'warn'].forEach(level => {
+      m.patch(console, level, (original) => function(...args) {
+        const message = args.join(' ');
+        if (message.indexOf('[Harbor]') !== 0) addBreadcrumb(`console.${level}`, message);
+        original.apply(console, args);
+      });
+    });
+    
+    // Console error tracking (non-intrusive); our own debug output is skipped
+    m.patch(console, 'error', (originalError) => function(...args) {
+      const message = args.join(' ');
+      if (message.indexOf('[Harbor]') !== 0) {
+        addBreadcrumb('console.error', message);
+        const errorArg = args.find(arg => arg instanceof Error);
+        const id = reportError('console', errorArg, message.slice(0, 100));
+        track('error.console', 1, { error: id });
+      }
+      originalError.apply(console, args);
+    });
+  });
+
+  // D. ENHANCED CLICK TRACKING
+  defineModule('clicks', 'analytics', () => CONFIG.trackClicks, (m) => {
+    let clicks = [];
+    const clickedElements = new Set();
+    
+    m.on(document, 'click', (e) => {
+      const now = Date.now();
+      const el = e.target.closest('button, a, [data-track], input, div, span');
+      
+      // 1. Enhanced general tracking
       if (el) {
         const elementType = el.tagName.toLowerCase();
-        const elementId = el.id || el.className || el.tagName;
-        const elementKey = `${elementId}_${el.textContent?.slice(0, 20)}`;
+        const masked = isMasked(el);
+        const elementId = masked ? 'masked' : (el.getAttribute('data-harbor-event') || el.getAttribute('data-track') || stableSelector(el));
+        const elementKey = masked ? elementId : `${elementId}_${el.textContent?.slice(0, 20)}`;
         clickedElements.add(elementKey);
         
-        const clickX = Math.round((e.clientX / window.innerWidth) * 100);
-        const clickY = Math.round((e.clientY / window.innerHeight) * 100);
+        const clickX = Math.round((e.clientX / window.innerWidth) * 100);
+        const clickY = Math.round((e.clientY / window.innerHeight) * 100);
+        
+        track(`click.${elementType}`, clickX, { element: elementId });
+        track('click.viewport_y', clickY, { element: elementId });
+        track('click.is_link', el.tagName === 'A' ? 1 : 0, { element: elementId });
+        track('click.is_button', (el.tagName === 'BUTTON' || el.type === 'button') ? 1 : 0, { element: elementId });
+      }
+
+      // 2. Rage Click Detection (3 clicks in 1s)
+      clicks.push({ x: e.clientX, y: e.clientY, t: now });
+      clicks = clicks.filter(c => now - c.t < 1000);
+      
+      if (clicks.length >= 3) {
+        const isRage = clicks.every(c => 
+          Math.abs(c.x - clicks[0].x) < 20 && Math.abs(c.y - clicks[0].y) < 20
+        );
+        if (isRage) {
+          const tag = e.target.tagName.toLowerCase();
+          track('click.rage', clicks.length, { element: tag });
+          clicks = [];
+        }
+      }
+      
+      // 3. Dead Click Detection
+      const style = window.getComputedStyle(e.target);
+      if (style.cursor === 'pointer' && !e.target.href && !e.target.onclick && 
+          e.target.tagName !== 'BUTTON' && e.target.tagName !== 'INPUT') {
+        const tag = e.target.tagName.toLowerCase();
+        track('click.dead', 1, { element: tag });
+      }
+    }, true);
+    
+    // Click coverage tracking
+    m.every(() => {
+      track('click.coverage', clickedElements.size);
+    }, 60000);
+  });
+
+  // E. ENHANCED SCROLL TRACKING
+  defineModule('scroll', 'analytics', () => CONFIG.trackScroll, (m) => {
+    const marks = [10, 25, 50, 75, 90, 100];
+    const reached = new Set();
+    let scrollTimer;
+    let maxScroll = 0;
+    let scrollCount = 0;
+    let lastScrollTime = Date.now();
+    
+    m.on(window, 'scroll', () => {
+      scrollCount++;
+      const timeSinceLastScroll = Date.now() - lastScrollTime;
+      lastScrollTime = Date.now();
+      
+      clearTimeout(scrollTimer);
+      scrollTimer = setTimeout(() => {
+        const scrollTop = window.scrollY;
+        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+        const pct = Math.round((scrollTop / scrollHeight) * 100);
+        
+        maxScroll = Math.max(maxScroll, pct);
         
-        track(`click.${elementType}`, clickX, elementId);
-        track('click.viewport_y', clickY, elementId);
-        track('click.is_link', el.tagName === 'A' ? 1 : 0, elementId);
-        track('click.is_button', (el.tagName === 'BUTTON' || el.type === 'button') ? 1 : 0, elementId);
+        marks.forEach(m => {
+          if (pct >= m && !reached.has(m)) {
+            reached.add(m);
+            const timeToMilestone = Math.round((Date.now() - pageLoadTime) / 1000);
+            track(`scroll.milestone_${m}`, timeToMilestone);
+            track('scroll.count_at_milestone', scrollCount, { milestone: `milestone_${m}` });
+          }
+        });
+        
+        // Scroll depth heartbeat
+        if (scrollCount % 20 === 0) {
+          track('scroll.depth', maxScroll);
+          track('scroll.count', scrollCount);
+        }
+      }, 200);
+    });
+    
+    // The page is a v3 dimension; in v2 it would change the ship_id
+    const reportFinalDepth = (path) => {
+      track('scroll.final_depth', maxScroll, CONFIG.schema >= 3 ? { page: path } : {});
+    };
+    
+    // Report final scroll depth on page leave
+    m.final(() => reportFinalDepth(currentPage ? currentPage.path : currentPath()));
+    
+    // Milestones start over on every virtual page
+    m.onPageEnd((page) => {
+      clearTimeout(scrollTimer);
+      reportFinalDepth(page.path);
+      reached.clear();
+      maxScroll = 0;
+      scrollCount = 0;
+    });
+  });
+
+  // F. ENHANCED PERFORMANCE (Web Vitals + More)
+  defineModule('performance', 'performance', () => CONFIG.trackPerf && !!window.PerformanceObserver, (m) => {
+    const observe = (type, cb, options) => {
+      try { 
+        const observer = new PerformanceObserver(l => l.getEntries().forEach(cb));
+        observer.observe(Object.assign({ type, buffered: true }, options));
+        m.cleanup(() => observer.disconnect());
+      } catch(e){}
+    };
+    
+    // [good, poor] boundaries from web.dev
+    const THRESHOLDS = {
+      lcp: [2500, 4000],
+      fcp: [1800, 3000],
+      ttfb: [800, 1800],
+      inp: [200, 500],
+      cls: [0.1, 0.25]
+    };
+    
+    const rate = (metric, value) => {
+      const [good, poor] = THRESHOLDS[metric];
+      if (value <= good) return 'good';
+      return value <= poor ? 'needs-improvement' : 'poor';
+    };
+    
+    // Prerendered pages start their clock at activation, not navigation
+    const nav = performance.getEntriesByType('navigation')[0];
+    const activationStart = (nav && nav.activationStart) || 0;
+    const sinceActivation = (time) => Math.max(time - activationStart, 0);
+    
+    let vitalsPage = currentPage ? currentPage.path : currentPath();
+    
+    // Schema v2 keeps the bare ship_id these rows have always had
+    const report = (metric, cargoId, value, target) => {
+      const dims = {};
+      if (CONFIG.schema >= 3) {
+        dims.page = vitalsPage;
+        dims.rating = rate(metric, value);
+        if (target) dims.target = target;
+      }
+      track(cargoId, metric === 'cls' ? Math.round(value * 1000) : Math.round(value), dims);
+    };
+    
+    // FCP
+    observe('paint', e => {
+      if (e.name === 'first-contentful-paint') {
+        report('fcp', 'perf.fcp_ms', sinceActivation(e.startTime));
+      }
+    });
+    
+    // LCP: the last candidate before the first input or the page being hidden
+    let lcpEntry = null;
+    let lcpReported = false;
+    
+    observe('largest-contentful-paint', e => {
+      if (!lcpReported) lcpEntry = e;
+    });
+    
+    const finalizeLcp = () => {
+      if (lcpReported || !lcpEntry) return;
+      lcpReported = true;
+      report('lcp', 'perf.lcp_ms', sinceActivation(lcpEntry.startTime), describeElement(lcpEntry.element));
+    };
+    
+    ['keydown', 'pointerdown'].forEach(type => {
+      m.on(window, type, () => setTimeout(finalizeLcp, 0), { capture: true, once: true });
+    });
+    
+    // CLS: the largest session window (shifts < 1s apart, window < 5s long)
+    let clsValue = 0;
+    let clsSource = '';
+    let windowValue = 0;
+    let windowEntries = [];
+    
+    observe('layout-shift', e => { 
+      if (e.hadRecentInput) return;
+      
+      const first = windowEntries[0];
+      const last = windowEntries[windowEntries.length - 1];
+      if (last && e.startTime - last.startTime < 1000 && e.startTime - first.startTime < 5000) {
+        windowValue += e.value;
+        windowEntries.push(e);
+      } else {
+        windowValue = e.value;
+        windowEntries = [e];
+      }
+      
+      if (windowValue > clsValue) {
+        clsValue = windowValue;
+        const largest = windowEntries.reduce((a, b) => (b.value > a.value ? b : a));
+        const source = (largest.sources || []).find(src => src.node);
+        clsSource = source ? describeElement(source.node) : '';
+      }
+    });
+    
+    // INP: ~98th percentile of interaction latency, from Event Timing
+    let interactionCount = 0;
+    let longest = [];
+    
+    const recordInteraction = (e) => {
+      if (!e.interactionId) return;
+      
+      const existing = longest.find(i => i.id === e.interactionId);
+      if (existing) {
+        if (e.duration > existing.duration) {
+          existing.duration = e.duration;
+          existing.target = describeElement(e.target);
+        }
+      } else {
+        interactionCount++;
+        longest.push({ id: e.interactionId, duration: e.duration, target: describeElement(e.target) });
+      }
+      
+      // Only the top 10 matter: p98 of fewer than 500 interactions is one of them
+      longest.sort((a, b) => b.duration - a.duration);
+      longest = longest.slice(0, 10);
+    };
+    
+    observe('event', recordInteraction, { durationThreshold: 40 });
+    observe('first-input', recordInteraction);
+    
+    // Final once the page is hidden, like the browser's own measurement;
+    // once per route, as repeated v2 rows can't be told apart
+    const clsSupported = (PerformanceObserver.supportedEntryTypes || []).includes('layout-shift');
+    let vitalsReported = false;
+    
+    const reportPageVitals = () => {
+      if (vitalsReported) return;
+      vitalsReported = true;
+      finalizeLcp();
+      // No shifts is a perfect score, not a missing one
+      if (clsSupported) {
+        report('cls', 'perf.cls_x1000', clsValue, clsSource);
+      }
+      if (longest.length > 0) {
+        const inp = longest[Math.min(Math.floor(interactionCount / 50), longest.length - 1)];
+        report('inp', 'perf.inp_ms', inp.duration, inp.target);
+      }
+    };
+    
+    m.on(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') reportPageVitals();
+    });
+    m.final(reportPageVitals);
+    
+    // Soft navigations close out CLS and INP for the previous route
+    m.onPageEnd(() => {
+      reportPageVitals();
+      clsValue = 0;
+      clsSource = '';
+      windowValue = 0;
+      windowEntries = [];
+      interactionCount = 0;
+      longest = [];
+      vitalsReported = false;
+    });
+    
+    m.onPage((page) => {
+      vitalsPage = page.path;
+    });
+    
+    // Navigation Timing
+    const reportNavigation = () => {
+      const nav = performance.getEntriesByType('navigation')[0];
+      if (nav) {
+        report('ttfb', 'perf.ttfb_ms', sinceActivation(nav.responseStart));
+        track('perf.load_complete_ms', Math.round(nav.loadEventEnd));
+        track('perf.dns_ms', Math.round(nav.domainLookupEnd - nav.domainLookupStart));
+        track('perf.tcp_ms', Math.round(nav.connectEnd - nav.connectStart));
+        track('perf.download_ms', Math.round(nav.responseEnd - nav.responseStart));
+        track('perf.dom_parse_ms', Math.round(nav.domContentLoadedEventEnd - nav.responseEnd));
+        track('perf.dom_interactive_ms', Math.round(nav.domInteractive - nav.fetchStart));
       }
+      
+      // Resource timing summary
+      const resources = performance.getEntriesByType('resource');
+      const byType = {};
+      resources.forEach(r => {
+        const type = r.initiatorType;
+        if (!byType[type]) byType[type] = { count: 0, size: 0, duration: 0 };
+        byType[type].count++;
+        byType[type].size += r.transferSize || 0;
+        byType[type].duration += r.duration;
+      });
+      
+      Object.keys(byType).forEach(type => {
+        track(`resource.${type}.count`, byType[type].count);
+        track(`resource.${type}.size_kb`, Math.round(byType[type].size / 1024));
+        track(`resource.${type}.avg_duration_ms`, Math.round(byType[type].duration / byType[type].count));
+      });
+    };
 
-      // 2. Rage Click Detection (3 clicks in 1s)
-      clicks.push({ x: e.clientX, y: e.clientY, t: now });
-      clicks = clicks.filter(c => now - c.t < 1000);
+    // Consent may arrive after the page has already loaded
+    if (document.readyState === 'complete') {
+      setTimeout(reportNavigation, 0);
+    } else {
+      m.on(window, 'load', () => setTimeout(reportNavigation, 0));
+    }
+    
+    // Long Tasks (> 50ms)
+    observe('longtask', e => {
+      track('perf.long_task_ms', Math.round(e.duration));
+    });
+  });
+
+  // G. MOUSE MOVEMENT & ENGAGEMENT
+  defineModule('mouse', 'analytics', () => CONFIG.trackMouse, (m) => {
+    let mouseMovements = 0;
+    let mouseMovementTimer;
+    
+    m.on(document, 'mousemove', () => {
+      mouseMovements++;
       
-      if (clicks.length >= 3) {
-        const isRage = clicks.every(c => 
-          Math.abs(c.x - clicks[0].x) < 20 && Math.abs(c.y - clicks[0].y) < 20
-        );
-        if (isRage) {
-          const tag = e.target.tagName.toLowerCase();
-          track('click.rage', clicks.length, tag);
-          clicks = [];
+      clearTimeout(mouseMovementTimer);
+      mouseMovementTimer = setTimeout(() => {
+        if (mouseMovements > 50) {
+          track('mouse.movements', mouseMovements);
+          mouseMovements = 0;
+        }
+      }, 5000);
+    });
+    
+    // Idle time comes from the engagement engine, so keyboard and touch
+    // input count as activity too
+    m.every(() => {
+      const idleSeconds = Math.round(idleMs() / 1000);
+      if (idleSeconds >= 30) {
+        track('mouse.idle_sec', idleSeconds);
+      }
+    }, 30000);
+  });
+
+  // H. MEDIA TRACKING (Video/Audio)
+  // Native <video>/<audio> elements and YouTube/Vimeo iframes feed the same
+  // playback state: watch time (seeks excluded), quartiles, seeks, stalls and
+  // rate changes. YouTube embeds need enablejsapi=1 in their src.
+  defineModule('media', 'analytics', () => CONFIG.trackMedia, (m) => {
+    const playbacks = new Map();
+    const QUARTILES = [25, 50, 75, 100];
+    
+    const playbackFor = (key, id, provider, kind) => {
+      if (!playbacks.has(key)) {
+        playbacks.set(key, {
+          id, provider, kind,
+          time: 0, duration: 0, rate: 1, playing: false,
+          watched: 0, quartiles: new Set(), seeks: 0,
+          stalls: 0, stalledMs: 0, stallStart: 0
+        });
+      }
+      return playbacks.get(key);
+    };
+    
+    // Native media keeps its pre-embed schema v2 ship_id (no provider suffix)
+    const dimsOf = (p) => (CONFIG.schema >= 3 || p.provider !== 'html5'
+      ? { media: p.id, provider: p.provider }
+      : { media: p.id });
+    
+    const trackMediaEvent = (p, event) => {
+      const percent = p.duration ? Math.round((p.time / p.duration) * 100) : 0;
+      track(`media.${event}.${p.kind}`, percent, dimsOf(p));
+      track(`media.current_time_sec`, Math.round(p.time) || 0, dimsOf(p));
+      track(`media.duration_sec`, Math.round(p.duration) || 0, dimsOf(p));
+    };
+    
+    const reachQuartiles = (p) => {
+      if (!p.duration) return;
+      QUARTILES.forEach(q => {
+        if (p.quartiles.has(q) || (p.time / p.duration) * 100 < q) return;
+        p.quartiles.add(q);
+        track(`media.quartile_${q}`, Math.round(p.watched), dimsOf(p));
+      });
+    };
+    
+    // Only normal forward progress while playing counts as watched;
+    // any jump is a seek (embeds report no seek events of their own)
+    const progress = (p, time, duration) => {
+      if (duration) p.duration = duration;
+      const delta = time - p.time;
+      const started = p.time > 0 || p.watched > 0;
+      p.time = time;
+      if (delta < -0.5 || delta > Math.max(3, p.rate * 3)) {
+        if (started) p.seeks++;
+        return;
+      }
+      if (!p.playing || delta <= 0) return;
+      p.watched += delta;
+      reachQuartiles(p);
+    };
+    
+    const seek = (p, time) => {
+      p.seeks++;
+      p.time = time;
+    };
+    
+    const setPlaying = (p, playing) => {
+      if (p.playing === playing) return;
+      p.playing = playing;
+      setMediaPlaying(p, playing);
+      trackMediaEvent(p, playing ? 'play' : 'pause');
+    };
+    
+    const ended = (p) => {
+      p.playing = false;
+      setMediaPlaying(p, false);
+      if (p.duration) p.time = p.duration;
+      reachQuartiles(p);
+      trackMediaEvent(p, 'ended');
+    };
+    
+    const startStall = (p) => {
+      if (!p.stallStart) p.stallStart = Date.now();
+    };
+    
+    const endStall = (p) => {
+      if (!p.stallStart) return;
+      p.stalls++;
+      p.stalledMs += Date.now() - p.stallStart;
+      p.stallStart = 0;
+    };
+    
+    const setRate = (p, rate) => {
+      if (!rate || rate === p.rate) return;
+      p.rate = rate;
+      track('media.rate', Math.round(rate * 100), dimsOf(p));
+    };
+    
+    // Cumulative per playback; the latest report wins
+    const summarize = () => {
+      playbacks.forEach(p => {
+        endStall(p);
+        if (p.watched < 1 && p.seeks === 0) return;
+        track('media.watch_time_sec', Math.round(p.watched), dimsOf(p));
+        if (p.seeks > 0) track('media.seeks', p.seeks, dimsOf(p));
+        if (p.stalls > 0) {
+          track('media.stalls', p.stalls, dimsOf(p));
+          track('media.buffering_ms', p.stalledMs, dimsOf(p));
+        }
+      });
+    };
+    
+    m.final(summarize);
+    m.onPageEnd(() => {
+      summarize();
+      playbacks.clear();
+    });
+    
+    // Native elements
+    const nativePlayback = (el) => {
+      const mediaSrc = (el.src || el.currentSrc || 'unknown').split('/').pop()?.slice(0, 50) || 'unknown';
+      return playbackFor(el, hash(mediaSrc), 'html5', el.tagName.toLowerCase());
+    };
+    
+    const NATIVE_EVENTS = {
+      play: (p) => setPlaying(p, true),
+      pause: (p) => setPlaying(p, false),
+      ended,
+      timeupdate: (p, el) => progress(p, el.currentTime, el.duration),
+      seeking: (p, el) => seek(p, el.currentTime),
+      waiting: startStall,
+      playing: endStall,
+      ratechange: (p, el) => setRate(p, el.playbackRate)
+    };
+    
+    Object.keys(NATIVE_EVENTS).forEach(type => {
+      m.on(document, type, (e) => {
+        if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
+          NATIVE_EVENTS[type](nativePlayback(e.target), e.target);
+        }
+      }, true);
+    });
+    
+    m.on(document, 'volumechange', (e) => {
+      if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
+        const p = nativePlayback(e.target);
+        track('media.volume', Math.round(e.target.volume * 100), dimsOf(p));
+        track('media.muted', e.target.muted ? 1 : 0, dimsOf(p));
+      }
+    }, true);
+    
+    // Iframe players speak postMessage: YouTube after a "listening" handshake,
+    // Vimeo once each event is subscribed with addEventListener
+    const VIMEO_EVENTS = ['play', 'pause', 'ended', 'timeupdate', 'bufferstart', 'bufferend', 'playbackratechange'];
+    const EMBEDS = [
+      {
+        provider: 'youtube',
+        src: /^https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\/([\w-]+)/,
+        subscribe: (frame) => frame.post({ event: 'listening', id: frame.index, channel: 'widget' }),
+        handle: (frame, p, data) => {
+          const info = data.info;
+          if (data.event === 'infoDelivery' && info && typeof info === 'object') {
+            if (info.playbackRate) setRate(p, info.playbackRate);
+            if (typeof info.currentTime === 'number') progress(p, info.currentTime, info.duration);
+            if (typeof info.playerState === 'number') youtubeState(p, info.playerState);
+          } else if (data.event === 'onStateChange') {
+            youtubeState(p, info);
+          } else if (data.event === 'onPlaybackRateChange') {
+            setRate(p, info);
+          }
+        }
+      },
+      {
+        provider: 'vimeo',
+        src: /^https:\/\/player\.vimeo\.com\/video\/(\d+)/,
+        subscribe: (frame) => VIMEO_EVENTS.forEach(value => frame.post({ method: 'addEventListener', value })),
+        handle: (frame, p, data) => {
+          const detail = data.data || {};
+          if (data.event === 'ready') frame.embed.subscribe(frame);
+          else if (data.event === 'play') setPlaying(p, true);
+          else if (data.event === 'pause') setPlaying(p, false);
+          else if (data.event === 'ended') ended(p);
+          else if (data.event === 'timeupdate') progress(p, detail.seconds, detail.duration);
+          else if (data.event === 'bufferstart') startStall(p);
+          else if (data.event === 'bufferend') endStall(p);
+          else if (data.event === 'playbackratechange') setRate(p, detail.playbackRate);
+        }
+      }
+    ];
+    
+    // YouTube states: 0 ended, 1 playing, 2 paused, 3 buffering
+    const youtubeState = (p, state) => {
+      if (state === 1) {
+        endStall(p);
+        setPlaying(p, true);
+      } else if (state === 2) {
+        setPlaying(p, false);
+      } else if (state === 0) {
+        if (p.playing) ended(p);
+      } else if (state === 3) {
+        startStall(p);
+      }
+    };
+    
+    const frames = [];
+    
+    const watchFrame = (iframe) => {
+      if (frames.some(frame => frame.iframe === iframe)) return;
+      const embed = EMBEDS.find(e => e.src.test(iframe.src));
+      if (!embed) return;
+      
+      const frame = {
+        iframe,
+        embed,
+        index: frames.length + 1,
+        origin: new URL(iframe.src).origin,
+        videoId: iframe.src.match(embed.src)[1],
+        post: (message) => {
+          if (iframe.contentWindow) iframe.contentWindow.postMessage(JSON.stringify(message), frame.origin);
+        }
+      };
+      frames.push(frame);
+      embed.subscribe(frame);
+      m.on(iframe, 'load', () => embed.subscribe(frame));
+    };
+    
+    const scan = (root) => {
+      if (root.nodeType !== 1) return;
+      if (root.tagName === 'IFRAME') watchFrame(root);
+      root.querySelectorAll('iframe').forEach(watchFrame);
+    };
+    scan(document.documentElement);
+    
+    if (window.MutationObserver) {
+      const mutations = new MutationObserver(records => {
+        records.forEach(record => record.addedNodes.forEach(scan));
+      });
+      mutations.observe(document.documentElement, { childList: true, subtree: true });
+      m.cleanup(() => mutations.disconnect());
+    }
+    
+    m.on(window, 'message', (e) => {
+      const frame = frames.find(f => f.iframe.contentWindow === e.source);
+      if (!frame || e.origin !== frame.origin) return;
+      
+      let data = e.data;
+      if (typeof data === 'string') {
+        try {
+          data = JSON.parse(data);
+        } catch (err) {
+          return;
+        }
+      }
+      if (!data || typeof data !== 'object') return;
+      
+      const p = playbackFor(frame.iframe, hash(frame.videoId), frame.embed.provider, 'video');
+      frame.embed.handle(frame, p, data);
+    });
+  });
+
+  // I. VISIBILITY & ENGAGEMENT
+  defineModule('visibility', 'analytics', () => CONFIG.trackVisibility, (m) => {
+    let visibilityStartTime = Date.now();
+    let totalVisibleTime = 0;
+    let visibilityChanges = 0;
+    
+    m.on(document, 'visibilitychange', () => {
+      visibilityChanges++;
+      
+      if (document.hidden) {
+        const visibleDuration = Date.now() - visibilityStartTime;
+        totalVisibleTime += visibleDuration;
+        
+        track('page.hidden_duration_sec', Math.round(visibleDuration / 1000));
+        track('page.total_visible_sec', Math.round(totalVisibleTime / 1000));
+        track('page.visibility_changes', visibilityChanges);
+      } else {
+        visibilityStartTime = Date.now();
+        track('page.visible', 1);
+      }
+    });
+    
+    // Periodic engagement heartbeat: active time on this page, not just visible time
+    m.every(() => {
+      if (!document.hidden) {
+        track('engagement.heartbeat_sec', Math.round(engagedMs() / 1000));
+        track('engagement.total_visible_sec', Math.round(totalVisibleTime / 1000));
+      }
+    }, 30000);
+  });
+
+  // J. COPY/PASTE TRACKING
+  defineModule('clipboard', 'analytics', true, (m) => {
+    m.on(document, 'copy', (e) => {
+      const selectedText = window.getSelection()?.toString() || '';
+      track('clipboard.copy_length', selectedText.length);
+    });
+    
+    m.on(document, 'paste', (e) => {
+      track('clipboard.paste', 1, { element: e.target?.tagName?.toLowerCase() || 'unknown' });
+    });
+  });
+
+  // K. WINDOW RESIZE
+  defineModule('resize', 'analytics', true, (m) => {
+    let resizeTimer;
+    m.on(window, 'resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        track('window.resize', 1);
+        track('window.width', window.innerWidth);
+        track('window.height', window.innerHeight);
+      }, 500);
+    });
+  });
+
+  // L. PRINT TRACKING
+  defineModule('print', 'analytics', true, (m) => {
+    m.on(window, 'beforeprint', () => {
+      track('page.print', 1);
+    });
+  });
+
+  // M. RIGHT CLICK TRACKING
+  defineModule('contextmenu', 'analytics', true, (m) => {
+    m.on(document, 'contextmenu', (e) => {
+      const elementType = e.target?.tagName?.toLowerCase() || 'unknown';
+      track('contextmenu.right_click', 1, { element: elementType });
+    });
+  });
+
+  // N. DECLARATIVE TRACKING (data-harbor-* attributes)
+  defineModule('declarative', 'analytics', () => CONFIG.trackDeclarative, (m) => {
+    const HOVER_INTENT_MS = 500;
+    const DIMS_PREFIX = 'data-harbor-dims-';
+    
+    const defaultTrigger = (el) => {
+      if (el.tagName === 'FORM') return 'submit';
+      if (el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA') return 'change';
+      return 'click';
+    };
+    
+    // Nearest annotated element listening for this trigger
+    const findTarget = (start, trigger) => {
+      let el = start && start.closest ? start.closest('[data-harbor-event]') : null;
+      while (el) {
+        const triggers = (el.getAttribute('data-harbor-trigger') || defaultTrigger(el)).split(/[\s,]+/);
+        if (triggers.includes(trigger)) return el;
+        el = el.parentElement ? el.parentElement.closest('[data-harbor-event]') : null;
+      }
+      return null;
+    };
+    
+    // Value and dims are inherited from ancestors; the closest definition wins
+    const fire = (el) => {
+      const dims = {};
+      let value = null;
+      
+      for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        if (value === null && node.hasAttribute('data-harbor-value')) {
+          value = node.getAttribute('data-harbor-value');
         }
+        Array.from(node.attributes).forEach(attr => {
+          if (attr.name.indexOf(DIMS_PREFIX) !== 0) return;
+          const key = attr.name.slice(DIMS_PREFIX.length).replace(/-/g, '_');
+          if (!(key in dims)) dims[key] = attr.value;
+        });
       }
       
-      // 3. Dead Click Detection
-      const style = window.getComputedStyle(e.target);
-      if (style.cursor === 'pointer' && !e.target.href && !e.target.onclick && 
-          e.target.tagName !== 'BUTTON' && e.target.tagName !== 'INPUT') {
-        const tag = e.target.tagName.toLowerCase();
-        track('click.dead', 1, tag);
+      track(el.getAttribute('data-harbor-event'), value === null ? 1 : value, dims);
+    };
+    
+    ['click', 'submit', 'change'].forEach(trigger => {
+      m.on(document, trigger, (e) => {
+        const el = findTarget(e.target, trigger);
+        if (el) fire(el);
+      }, true);
+    });
+    
+    // Hover intent: the pointer has to rest on the element for a moment
+    let hoverEl = null;
+    let hoverTimer = null;
+    
+    m.on(document, 'mouseover', (e) => {
+      const el = findTarget(e.target, 'hover');
+      if (el === hoverEl) return;
+      
+      clearTimeout(hoverTimer);
+      hoverEl = el;
+      if (el) hoverTimer = setTimeout(() => fire(el), HOVER_INTENT_MS);
+    }, true);
+    
+    m.on(document, 'mouseout', (e) => {
+      if (hoverEl && !(e.relatedTarget && hoverEl.contains(e.relatedTarget))) {
+        clearTimeout(hoverTimer);
+        hoverEl = null;
       }
     }, true);
     
-    // Click coverage tracking
-    setInterval(() => {
-      track('click.coverage', clickedElements.size);
-    }, 60000);
-  }
+    m.cleanup(() => clearTimeout(hoverTimer));
+  });
 
-  // E. ENHANCED SCROLL TRACKING
-  if (CONFIG.trackScroll) {
-    const marks = [10, 25, 50, 75, 90, 100];
-    const reached = new Set();
-    let scrollTimer;
-    let maxScroll = 0;
-    let scrollCount = 0;
-    let lastScrollTime = Date.now();
+  // O. IMPRESSIONS & VIEWABILITY
+  defineModule('impressions', 'analytics', () => CONFIG.trackImpressions && !!window.IntersectionObserver, (m) => {
+    const SELECTOR = '[data-harbor-impression]';
+    const states = new Map();
     
-    window.addEventListener('scroll', () => {
-      scrollCount++;
-      const timeSinceLastScroll = Date.now() - lastScrollTime;
-      lastScrollTime = Date.now();
-      
-      clearTimeout(scrollTimer);
-      scrollTimer = setTimeout(() => {
-        const scrollTop = window.scrollY;
-        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const pct = Math.round((scrollTop / scrollHeight) * 100);
-        
-        maxScroll = Math.max(maxScroll, pct);
-        
-        marks.forEach(m => {
-          if (pct >= m && !reached.has(m)) {
-            reached.add(m);
-            const timeToMilestone = Math.round((Date.now() - pageLoadTime) / 1000);
-            track(`scroll.milestone_${m}`, timeToMilestone);
-            track('scroll.count_at_milestone', scrollCount, `milestone_${m}`);
-          }
-        });
-        
-        // Scroll depth heartbeat
-        if (scrollCount % 20 === 0) {
-          track('scroll.depth', maxScroll);
-          track('scroll.count', scrollCount);
+    const pause = (state) => {
+      clearTimeout(state.timer);
+      state.timer = null;
+      if (state.visibleSince) {
+        state.visibleTime += Date.now() - state.visibleSince;
+        state.visibleSince = 0;
+      }
+    };
+    
+    // Viewable = at least impressionThreshold of the element on screen for impressionTime
+    const resume = (state) => {
+      if (state.visibleSince || document.hidden) return;
+      state.visibleSince = Date.now();
+      if (!state.impressed) {
+        state.timer = setTimeout(() => {
+          state.impressed = true;
+          track('impression.view', 1, { impression: state.id });
+        }, CONFIG.impressionTime);
+      }
+    };
+    
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        const state = states.get(entry.target);
+        if (!state) return;
+        state.inView = entry.isIntersecting && entry.intersectionRatio >= CONFIG.impressionThreshold;
+        if (state.inView) {
+          resume(state);
+        } else {
+          pause(state);
         }
-      }, 200);
-    });
+      });
+    }, { threshold: [0, CONFIG.impressionThreshold] });
     
-    // Report final scroll depth on page leave
-    window.addEventListener('beforeunload', () => {
-      track('scroll.final_depth', maxScroll);
-    });
-  }
-
-  // F. ENHANCED PERFORMANCE (Web Vitals + More)
-  if (CONFIG.trackPerf && window.PerformanceObserver) {
-    const observe = (type, cb) => {
-      try { 
-        new PerformanceObserver(l => l.getEntries().forEach(cb)).observe({entryTypes:[type], buffered: true}); 
-      } catch(e){}
+    const watch = (el) => {
+      if (states.has(el)) return;
+      states.set(el, {
+        id: el.getAttribute('data-harbor-impression') || el.id || el.tagName.toLowerCase(),
+        inView: false,
+        impressed: false,
+        visibleSince: 0,
+        visibleTime: 0,
+        timer: null
+      });
+      observer.observe(el);
     };
     
-    observe('largest-contentful-paint', e => {
-      track('perf.lcp_ms', Math.round(e.renderTime || e.loadTime));
+    const scan = (root) => {
+      if (root.nodeType !== 1) return;
+      if (root.matches(SELECTOR)) watch(root);
+      root.querySelectorAll(SELECTOR).forEach(watch);
+    };
+    
+    scan(document.documentElement);
+    m.cleanup(() => {
+      observer.disconnect();
+      states.forEach(pause);
     });
     
-    observe('first-input', e => {
-      track('perf.fid_ms', Math.round(e.processingStart - e.startTime));
+    // Elements rendered later (lazy sections, SPA views) are picked up too
+    if (window.MutationObserver) {
+      const mutations = new MutationObserver(records => {
+        records.forEach(record => record.addedNodes.forEach(scan));
+      });
+      mutations.observe(document.documentElement, { childList: true, subtree: true });
+      m.cleanup(() => mutations.disconnect());
+    }
+    
+    m.on(document, 'visibilitychange', () => {
+      states.forEach(state => {
+        if (document.hidden) {
+          pause(state);
+        } else if (state.inView) {
+          resume(state);
+        }
+      });
     });
     
-    observe('layout-shift', e => { 
-      if (!e.hadRecentInput) {
-        track('perf.cls_x1000', Math.round(e.value * 1000));
+    // Cumulative visible time per element, including a still-running stretch
+    const reportVisibleTime = (page) => {
+      states.forEach(state => {
+        const running = state.visibleSince ? Date.now() - state.visibleSince : 0;
+        const total = state.visibleTime + running;
+        if (total > 0) track('impression.visible_ms', total, { impression: state.id, page: page.path });
+      });
+    };
+    
+    m.final(() => reportVisibleTime(currentPage || { path: currentPath() }));
+    
+    // Each virtual page counts its own impressions
+    m.onPageEnd((page) => {
+      states.forEach(pause);
+      reportVisibleTime(page);
+      states.clear();
+      observer.disconnect();
+      scan(document.documentElement);
+    });
+  });
+
+  // P. GOALS & FUNNELS
+  // Goals match on url (glob or RegExp against the route or raw path), click
+  // (selector), submit (form selector) or event (cargo_id glob). Funnels are
+  // ordered lists of such steps. Progress is kept per session.
+  const GOALS = [];
+  const FUNNELS = [];
+  const GOALS_KEY = '_ht_goals';
+  let scriptGoalsLoaded = false; // data-goals is read once, not on every plugin setup
+
+  /**
+   * Define goals and funnels at runtime.
+   * @param {Object|Object[]} definitions - { name, url|click|submit|event, value?, repeat? }
+   *   for a goal, or { name, steps: [...] } for a funnel
+   */
+  function defineGoals(definitions) {
+    [].concat(definitions).forEach(def => {
+      if (!def || !def.name) return;
+      if (Array.isArray(def.steps)) {
+        FUNNELS.push(def);
+      } else {
+        GOALS.push(def);
+        // A url goal defined after the page view can still match this page
+        if (def.url && currentPage) evaluateGoals({ type: 'url', page: currentPage });
       }
     });
-    
-    // Navigation Timing
-    window.addEventListener('load', () => {
-      setTimeout(() => {
-        const nav = performance.getEntriesByType('navigation')[0];
-        if (nav) {
-          track('perf.load_complete_ms', Math.round(nav.loadEventEnd));
-          track('perf.dns_ms', Math.round(nav.domainLookupEnd - nav.domainLookupStart));
-          track('perf.tcp_ms', Math.round(nav.connectEnd - nav.connectStart));
-          track('perf.ttfb_ms', Math.round(nav.responseStart - nav.requestStart));
-          track('perf.download_ms', Math.round(nav.responseEnd - nav.responseStart));
-          track('perf.dom_parse_ms', Math.round(nav.domContentLoadedEventEnd - nav.responseEnd));
-          track('perf.dom_interactive_ms', Math.round(nav.domInteractive - nav.fetchStart));
-        }
-        
-        // Resource timing summary
-        const resources = performance.getEntriesByType('resource');
-        const byType = {};
-        resources.forEach(r => {
-          const type = r.initiatorType;
-          if (!byType[type]) byType[type] = { count: 0, size: 0, duration: 0 };
-          byType[type].count++;
-          byType[type].size += r.transferSize || 0;
-          byType[type].duration += r.duration;
-        });
-        
-        Object.keys(byType).forEach(type => {
-          track(`resource.${type}.count`, byType[type].count);
-          track(`resource.${type}.size_kb`, Math.round(byType[type].size / 1024));
-          track(`resource.${type}.avg_duration_ms`, Math.round(byType[type].duration / byType[type].count));
-        });
-      }, 0);
+  }
+
+  // Inline config: data-goals on the script tag or <script type="application/json" data-harbor-goals>
+  function loadGoalConfig() {
+    const sources = scriptGoalsLoaded ? [] : [script.getAttribute('data-goals')];
+    scriptGoalsLoaded = true;
+    document.querySelectorAll('script[type="application/json"][data-harbor-goals]').forEach(el => {
+      if (el.hasAttribute('data-harbor-loaded')) return;
+      el.setAttribute('data-harbor-loaded', '');
+      sources.push(el.textContent);
     });
     
-    // Long Tasks (> 50ms)
-    observe('longtask', e => {
-      track('perf.long_task_ms', Math.round(e.duration));
+    sources.forEach(source => {
+      if (!source) return;
+      try {
+        const parsed = JSON.parse(source);
+        defineGoals(Array.isArray(parsed) ? parsed : (parsed.goals || []).concat(parsed.funnels || []));
+      } catch (e) {
+        if (CONFIG.debug) console.warn('[Harbor] Invalid goal config:', e);
+      }
     });
   }
 
-  // G. MOUSE MOVEMENT & ENGAGEMENT
-  if (CONFIG.trackMouse) {
-    let mouseMovements = 0;
-    let lastMouseMove = Date.now();
-    let mouseMovementTimer;
+  // Shared by all tabs of the session, like the session itself
+  function loadGoalState() {
+    try {
+      const state = JSON.parse(localStorage.getItem(GOALS_KEY));
+      if (state && state.session === getSessionId()) return state;
+    } catch (e) {}
+    return { session: getSessionId(), goals: [], funnels: {} };
+  }
+
+  function saveGoalState(state) {
+    try {
+      localStorage.setItem(GOALS_KEY, JSON.stringify(state));
+    } catch (e) {}
+  }
+
+  const GOAL_MATCHERS = {
+    url: (def, signal) => !!def.url && [signal.page.path, window.location.pathname].some(path => matchPattern(def.url, path)),
+    click: (def, signal) => !!def.click && !!(signal.target.closest && signal.target.closest(def.click)),
+    submit: (def, signal) => !!def.submit && !!(signal.target.matches && signal.target.matches(def.submit)),
+    event: (def, signal) => !!def.event && matchPattern(def.event, signal.payload.cargo_id)
+  };
+
+  function matchPattern(pattern, value) {
+    if (Object.prototype.toString.call(pattern) === '[object RegExp]') return pattern.test(value);
+    return globToRegExp(String(pattern)).test(value);
+  }
+
+  function goalMatches(def, signal) {
+    try {
+      return GOAL_MATCHERS[signal.type](def, signal);
+    } catch (e) {
+      return false; // invalid selector in a definition
+    }
+  }
+
+  function secondsSince(time) {
+    return Math.round((Date.now() - time) / 1000);
+  }
+
+  function evaluateGoals(signal) {
+    const state = loadGoalState();
+    let changed = false;
     
-    document.addEventListener('mousemove', () => {
-      mouseMovements++;
-      lastMouseMove = Date.now();
+    GOALS.forEach(goal => {
+      if (!goalMatches(goal, signal)) return;
+      if (!goal.repeat && state.goals.includes(goal.name)) return;
       
-      clearTimeout(mouseMovementTimer);
-      mouseMovementTimer = setTimeout(() => {
-        if (mouseMovements > 50) {
-          track('mouse.movements', mouseMovements);
-          mouseMovements = 0;
-        }
-      }, 5000);
+      if (!state.goals.includes(goal.name)) state.goals.push(goal.name);
+      changed = true;
+      const dims = attributionDims();
+      if (goal.value !== undefined && CONFIG.schema >= 3) dims.goal_value = goal.value;
+      track(`goal.${goal.name}`, secondsSince(getSessionStart()), dims);
+      // Schema v2 has no goal_value dimension: the value gets a row of its own
+      if (goal.value !== undefined && CONFIG.schema < 3) track(`goal.${goal.name}.value`, goal.value);
     });
     
-    // Mouse idle detection
-    setInterval(() => {
-      const idleSeconds = Math.round((Date.now() - lastMouseMove) / 1000);
-      if (idleSeconds > 30 && idleSeconds % 30 === 0) {
-        track('mouse.idle_sec', idleSeconds);
+    // Each signal can move a funnel forward by at most one step, in order
+    FUNNELS.forEach(funnel => {
+      const progress = state.funnels[funnel.name] || { step: 0, started: 0 };
+      if (progress.step >= funnel.steps.length || !goalMatches(funnel.steps[progress.step], signal)) return;
+      
+      if (progress.step === 0) progress.started = Date.now();
+      const stepDef = funnel.steps[progress.step];
+      progress.step++;
+      state.funnels[funnel.name] = progress;
+      changed = true;
+      
+      track(`funnel.${funnel.name}.step`, progress.step, { step: stepDef.name || String(progress.step) });
+      if (progress.step === funnel.steps.length) {
+        track(`funnel.${funnel.name}.complete`, secondsSince(progress.started));
       }
-    }, 30000);
+    });
+    
+    if (changed) saveGoalState(state);
   }
 
-  // H. MEDIA TRACKING (Video/Audio)
-  if (CONFIG.trackMedia) {
-    const trackMediaEvent = (media, event) => {
-      const mediaType = media.tagName.toLowerCase();
-      const mediaSrc = (media.src || media.currentSrc || 'unknown').split('/').pop()?.slice(0, 50) || 'unknown';
-      const mediaId = hash(mediaSrc);
-      const percent = media.duration ? Math.round((media.currentTime / media.duration) * 100) : 0;
+  use({
+    name: 'goals',
+    category: 'analytics',
+    setup(m) {
+      loadGoalConfig();
+      if (document.readyState === 'loading') m.on(document, 'DOMContentLoaded', loadGoalConfig);
       
-      track(`media.${event}.${mediaType}`, percent, mediaId);
-      track(`media.current_time_sec`, Math.round(media.currentTime) || 0, mediaId);
-      track(`media.duration_sec`, Math.round(media.duration) || 0, mediaId);
-    };
-    
-    document.addEventListener('play', (e) => {
-      if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
-        trackMediaEvent(e.target, 'play');
+      m.on(document, 'click', (e) => evaluateGoals({ type: 'click', target: e.target }), true);
+      m.on(document, 'submit', (e) => evaluateGoals({ type: 'submit', target: e.target }), true);
+      
+      // Funnels started but not finished report the last step reached when
+      // their session ends; the stored progress goes with it
+      const reportDropped = (state) => {
+        FUNNELS.forEach(funnel => {
+          const progress = state.funnels[funnel.name];
+          if (!progress || progress.step === 0 || progress.step >= funnel.steps.length) return;
+          const stepDef = funnel.steps[progress.step - 1];
+          track(`funnel.${funnel.name}.dropped_at`, progress.step, { step: stepDef.name || String(progress.step) });
+        });
+        try {
+          localStorage.removeItem(GOALS_KEY);
+        } catch (e) {}
+      };
+      m.sessionEnd(() => reportDropped(loadGoalState()));
+      
+      // A session that expired between pages ended before this plugin started
+      try {
+        const stored = JSON.parse(localStorage.getItem(GOALS_KEY));
+        if (stored && stored.session !== getSessionId()) reportDropped(stored);
+      } catch (e) {}
+    },
+    onPage(page) {
+      evaluateGoals({ type: 'url', page });
+    },
+    onEvent(payload) {
+      if (/^(goal|funnel)\./.test(payload.cargo_id)) return;
+      if (GOALS.some(goal => goal.event) || FUNNELS.length > 0) {
+        evaluateGoals({ type: 'event', payload });
       }
-    }, true);
+    }
+  });
+
+  // Q. NETWORK REQUESTS (fetch & XMLHttpRequest)
+  defineModule('network', 'performance', () => CONFIG.trackNetwork, (m) => {
+    const OWN_ENDPOINTS = [CONFIG.endpoint, CONFIG.errorEndpoint].filter(Boolean);
+    const ALLOW = CONFIG.networkAllow.map(globToRegExp);
+    const DENY = CONFIG.networkDeny.map(globToRegExp);
+    const xhrRequests = new WeakMap();
     
-    document.addEventListener('pause', (e) => {
-      if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
-        trackMediaEvent(e.target, 'pause');
+    // Returns { method, endpoint } for requests worth recording, null otherwise
+    const describeRequest = (method, target) => {
+      let parsed;
+      try {
+        parsed = new URL(String(target), window.location.href);
+      } catch (e) {
+        return null;
       }
-    }, true);
+      if (!/^https?:$/.test(parsed.protocol)) return null;
+      
+      const href = parsed.origin + parsed.pathname;
+      if (OWN_ENDPOINTS.some(own => href.indexOf(own) === 0)) return null;
+      if (DENY.some(re => re.test(href))) return null;
+      if (ALLOW.length > 0 && !ALLOW.some(re => re.test(href))) return null;
+      
+      // Endpoints are templated like pages, with ids always collapsed
+      const path = routeTemplate(parsed.pathname).split('/').map(s => (ID_SEGMENT.test(s) ? ':id' : s)).join('/');
+      const host = parsed.origin === window.location.origin ? '' : parsed.host;
+      return { method: (method || 'GET').toUpperCase(), endpoint: host + path };
+    };
     
-    document.addEventListener('ended', (e) => {
-      if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
-        trackMediaEvent(e.target, 'ended');
-      }
-    }, true);
+    const bodySize = (body) => {
+      if (!body) return 0;
+      if (typeof body === 'string') return body.length;
+      if (body instanceof URLSearchParams) return body.toString().length;
+      if (typeof body.size === 'number') return body.size; // Blob
+      if (typeof body.byteLength === 'number') return body.byteLength; // ArrayBuffer, typed arrays
+      return 0;
+    };
     
-    document.addEventListener('volumechange', (e) => {
-      if (e.target.tagName === 'VIDEO' || e.target.tagName === 'AUDIO') {
-        const mediaSrc = (e.target.src || e.target.currentSrc || 'unknown').split('/').pop()?.slice(0, 50) || 'unknown';
-        const mediaId = hash(mediaSrc);
-        track('media.volume', Math.round(e.target.volume * 100), mediaId);
-        track('media.muted', e.target.muted ? 1 : 0, mediaId);
+    const record = (request, start, status, responseSize) => {
+      const dims = {
+        endpoint: `${request.method} ${request.endpoint}`,
+        page: currentPage ? currentPage.path : currentPath()
+      };
+      track('network.request', Math.round(performance.now() - start), {
+        ...dims,
+        status: status ? `${Math.floor(status / 100)}xx` : 'network_error'
+      });
+      if (request.bytes > 0) track('network.request_bytes', request.bytes, dims);
+      const received = parseInt(responseSize);
+      if (received > 0) track('network.response_bytes', received, dims);
+    };
+    
+    if (window.fetch) {
+      m.patch(window, 'fetch', original => function(input, init) {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const request = describeRequest((init && init.method) || (isRequest ? input.method : 'GET'), isRequest ? input.url : input);
+        if (!request) return original.apply(this, arguments);
+        
+        request.bytes = bodySize(init && init.body);
+        const start = performance.now();
+        return original.apply(this, arguments).then(response => {
+          record(request, start, response.status, response.headers.get('content-length'));
+          return response;
+        }, error => {
+          // Requests the app aborted on purpose are not failures
+          if (!error || error.name !== 'AbortError') record(request, start, 0);
+          throw error;
+        });
+      });
+    }
+    
+    if (window.XMLHttpRequest) {
+      const proto = XMLHttpRequest.prototype;
+      
+      m.patch(proto, 'open', original => function(method, target) {
+        const request = describeRequest(method, target);
+        if (request) {
+          xhrRequests.set(this, request);
+        } else {
+          xhrRequests.delete(this);
+        }
+        return original.apply(this, arguments);
+      });
+      
+      m.patch(proto, 'send', original => function(body) {
+        const request = xhrRequests.get(this);
+        if (request && !request.start) {
+          request.bytes = bodySize(body);
+          request.start = performance.now();
+          this.addEventListener('abort', () => { request.aborted = true; });
+          this.addEventListener('loadend', () => {
+            if (!request.aborted) record(request, request.start, this.status, this.getResponseHeader('content-length'));
+          });
+        }
+        return original.apply(this, arguments);
+      });
+    }
+  });
+
+  // R. HEATMAPS
+  // Clicks are bucketed to a document grid (heatmapGrid px) and to 10% bands
+  // inside the clicked element; scroll reach is a histogram per page template.
+  defineModule('heatmap', 'analytics', () => CONFIG.trackHeatmap, (m) => {
+    const grid = CONFIG.heatmapGrid;
+    const bucket = (value, size) => String(Math.max(0, Math.floor(value / size) * size));
+    const layout = () => (window.innerWidth < 768 ? 'mobile' : window.innerWidth < 1024 ? 'tablet' : 'desktop');
+    let maxReach = 0;
+    let reported = false;
+    
+    m.on(document, 'click', (e) => {
+      const el = e.target;
+      if (!el || el.nodeType !== 1) return;
+      
+      const rect = el.getBoundingClientRect();
+      const dims = {
+        page: currentPage ? currentPage.path : currentPath(),
+        selector: stableSelector(el),
+        layout: layout(),
+        x: bucket(e.clientX + window.scrollX, grid),
+        y: bucket(e.clientY + window.scrollY, grid)
+      };
+      if (rect.width > 0 && rect.height > 0) {
+        dims.ex = bucket(((e.clientX - rect.left) / rect.width) * 100, 10);
+        dims.ey = bucket(((e.clientY - rect.top) / rect.height) * 100, 10);
       }
+      track('heatmap.click', 1, dims);
     }, true);
-  }
+    
+    // Reach is the bottom edge of the viewport, as a share of the document
+    const measure = () => {
+      const height = document.documentElement.scrollHeight;
+      if (height > 0) maxReach = Math.max(maxReach, Math.min(100, ((window.scrollY + window.innerHeight) / height) * 100));
+    };
+    measure();
+    m.on(window, 'scroll', measure, { passive: true });
+    
+    // One sample per page view, so the histogram counts views
+    const reportReach = (page) => {
+      if (reported) return;
+      reported = true;
+      track('heatmap.scroll_reach', 1, { page: page.path, depth: bucket(maxReach, 10), layout: layout() });
+    };
+    
+    m.final(() => reportReach(currentPage || { path: currentPath() }));
+    m.onPageEnd((page) => {
+      reportReach(page);
+      maxReach = 0;
+      reported = false;
+      setTimeout(measure, 0);
+    });
+  });
 
-  // I. VISIBILITY & ENGAGEMENT
-  if (CONFIG.trackVisibility) {
-    let visibilityStartTime = Date.now();
-    let totalVisibleTime = 0;
-    let visibilityChanges = 0;
+  // S. OUTBOUND LINKS, DOWNLOADS & CROSS-DOMAIN LINKING
+  defineModule('links', 'analytics', () => CONFIG.trackOutbound || CONFIG.linkDomains.length > 0, (m) => {
+    const parseHref = (href) => {
+      try {
+        const parsed = new URL(href, window.location.href);
+        return /^https?:$/.test(parsed.protocol) ? parsed : null;
+      } catch (e) {
+        return null;
+      }
+    };
     
-    document.addEventListener('visibilitychange', () => {
-      visibilityChanges++;
+    // Links into linked domains get a fresh token right before they are followed
+    const decorate = (e) => {
+      const link = e.target.closest && e.target.closest('a[href]');
+      const target = link && parseHref(link.href);
+      if (!target || target.host === window.location.host || !isLinkedDomain(target.hostname)) return;
+      target.searchParams.set(LINK_PARAM, createLinkToken());
+      link.href = target.href;
+    };
+    
+    if (CONFIG.linkDomains.length > 0) {
+      m.on(document, 'mousedown', decorate, true);
+      m.on(document, 'keydown', (e) => { if (e.key === 'Enter') decorate(e); }, true);
+      m.on(document, 'click', decorate, true);
       
-      if (document.hidden) {
-        const visibleDuration = Date.now() - visibilityStartTime;
-        totalVisibleTime += visibleDuration;
+      m.on(document, 'submit', (e) => {
+        const form = e.target;
+        const action = parseHref(form.getAttribute('action') || window.location.href);
+        if (!action || action.host === window.location.host || !isLinkedDomain(action.hostname)) return;
         
-        track('page.hidden_duration_sec', Math.round(visibleDuration / 1000));
-        track('page.total_visible_sec', Math.round(totalVisibleTime / 1000));
-        track('page.visibility_changes', visibilityChanges);
+        // GET submissions replace the action's query string, so use a field
+        if ((form.getAttribute('method') || 'get').toLowerCase() === 'get') {
+          let input = form.querySelector(`input[name="${LINK_PARAM}"]`);
+          if (!input) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = LINK_PARAM;
+            form.appendChild(input);
+          }
+          input.value = createLinkToken();
+        } else {
+          action.searchParams.set(LINK_PARAM, createLinkToken());
+          form.setAttribute('action', action.href);
+        }
+      }, true);
+    }
+    
+    if (!CONFIG.trackOutbound) return;
+    
+    const followLink = (e) => {
+      const link = e.target.closest && e.target.closest('a[href]');
+      const target = link && parseHref(link.href);
+      if (!target) return;
+      
+      const extension = ((target.pathname.match(/\.([a-z0-9]+)$/i) || [])[1] || '').toLowerCase();
+      const isDownload = link.hasAttribute('download') || (!!extension && CONFIG.downloadExtensions.includes(extension));
+      const isOutbound = !sameSite(target.hostname) || (isLinkedDomain(target.hostname) && target.host !== window.location.host);
+      if (!isDownload && !isOutbound) return;
+      
+      if (isDownload) {
+        track('link.download', 1, { file: target.pathname.split('/').pop().slice(0, 80), extension: extension || 'download' });
       } else {
-        visibilityStartTime = Date.now();
-        track('page.visible', 1);
+        track('link.outbound', 1, { domain: target.hostname, url: sanitizeUrl(target.href) });
       }
-    });
+      
+      // Leaving in this tab: send now instead of hoping pagehide gets the chance
+      const newTab = e.button === 1 || e.ctrlKey || e.metaKey || e.shiftKey || (link.target && link.target !== '_self');
+      if (isOutbound && !isDownload && !newTab) flushOnExit();
+    };
     
-    // Periodic engagement heartbeat
-    setInterval(() => {
-      if (!document.hidden) {
-        const engagementTime = Math.round((Date.now() - visibilityStartTime) / 1000);
-        track('engagement.heartbeat_sec', engagementTime);
-        track('engagement.total_visible_sec', Math.round(totalVisibleTime / 1000));
+    m.on(document, 'click', followLink, true);
+    m.on(document, 'auxclick', (e) => { if (e.button === 1) followLink(e); }, true);
+  });
+
+  // Start every plugin the current consent state allows
+  syncPlugins();
+
+  // ============================================
+  // 9. PAGE EXIT & SESSION SUMMARY
+  // ============================================
+  // A hidden tab may never come back (mobile browsers discard it without a
+  // pagehide), so the first hide runs the final hooks and the page summary.
+  // They run once per page visit: schema v2 rows carry nothing that would
+  // tell repeated summaries apart. Later hides only send what is queued.
+  let exited = false;
+  let hiddenAt = 0;
+
+  function handleExit() {
+    hiddenAt = Date.now();
+    if (exited) {
+      flushOnExit();
+      return;
+    }
+    exited = true;
+    
+    EXIT_HOOKS.slice().forEach(hook => {
+      try {
+        hook();
+      } catch (e) {
+        if (CONFIG.debug) console.error('[Harbor] Exit hook failed:', e);
       }
-    }, 30000);
+    });
+    
+    // Per-page summary; session.end comes only when the session expires
+    reportGovernor();
+    track('page.exit', secondsSince(pageLoadedAt));
+    if (currentPage) track('page.engaged_sec', Math.round(engagedMs() / 1000), { page: currentPage.path });
+    track('page.total_events', pageEventCount);
+    
+    flushOnExit();
   }
 
-  // J. COPY/PASTE TRACKING
-  document.addEventListener('copy', (e) => {
-    const selectedText = window.getSelection()?.toString() || '';
-    track('clipboard.copy_length', selectedText.length);
+  function resumeSession() {
+    if (!exited) return;
+    exited = false;
+    track('session.resume', Math.round((Date.now() - hiddenAt) / 1000));
+  }
+
+  listen(window, 'pagehide', handleExit);
+  listen(document, 'visibilitychange', () => {
+    if (document.visibilityState === 'hidden') handleExit();
   });
   
-  document.addEventListener('paste', (e) => {
-    track('clipboard.paste', 1, e.target?.tagName?.toLowerCase() || 'unknown');
+  // Restored from the back/forward cache: same session, new page visit
+  listen(window, 'pageshow', (e) => {
+    if (e.persisted) resumeSession();
   });
 
-  // K. WINDOW RESIZE
-  let resizeTimer;
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimer);
-    resizeTimer = setTimeout(() => {
-      track('window.resize', 1);
-      track('window.width', window.innerWidth);
-      track('window.height', window.innerHeight);
-    }, 500);
-  });
+  // Runtime lifecycle: everything started above can be stopped again, so a
+  // settings page can switch analytics off without a reload
+  
+  /**
+   * Stop tracking on this page. Runs the exit reporting and final flush,
+   * then stops every plugin (restoring patched globals), removes core
+   * listeners and clears timers. harbor.init() starts a fresh instance.
+   * @param {boolean} [finalFlush=true] - Pass false to send nothing more
+   */
+  function shutdown(finalFlush) {
+    if (stopped) return;
+    if (finalFlush !== false) handleExit();
+    pauseEngagement();
+    stopped = true;
+    
+    PLUGINS.forEach(mod => {
+      if (mod.active) stopPlugin(mod);
+    });
+    CORE_CLEANUPS.splice(0).forEach(fn => { try { fn(); } catch (e) {} });
+    [batchTimer, retryTimer, stormTimer, idleTimer].forEach(clearTimeout);
+    batchTimer = retryTimer = stormTimer = idleTimer = null;
+    
+    installStub(queued);
+    if (CONFIG.debug) console.log('[Harbor] Shut down');
+  }
 
-  // L. PRINT TRACKING
-  window.addEventListener('beforeprint', () => {
-    track('page.print', 1);
-  });
+  // Opting out discards everything not yet sent, including the batches other
+  // tabs stored for retry, and every identifier kept on the device
+  function optOut() {
+    setOptedOut(true);
+    QUEUE.length = 0;
+    consentBuffer.length = 0;
+    RETRY.length = 0;
+    shutdown(false);
+    store.clear();
+    forgetVisitor();
+    try {
+      localStorage.removeItem(GOALS_KEY);
+    } catch (e) {}
+    installOptedOutStub();
+  }
 
-  // M. RIGHT CLICK TRACKING
-  document.addEventListener('contextmenu', (e) => {
-    const elementType = e.target?.tagName?.toLowerCase() || 'unknown';
-    track('contextmenu.right_click', 1, elementType);
+  // Opting out in one tab stops the others too
+  listen(window, 'storage', (e) => {
+    if (e.key === OPT_OUT_KEY && e.newValue === '1') optOut();
   });
 
-  // ============================================
-  // 6. SESSION SUMMARY (On Exit)
-  // ============================================
-  window.addEventListener('beforeunload', () => {
-    const sessionDuration = Math.round((Date.now() - SESSION_START) / 1000);
-    track('session.end', sessionDuration);
-    track('session.total_events', QUEUE.length);
-  });
+  /**
+   * Change settings without a reload. Module switches (trackMouse,
+   * trackForms, ...) start or stop their module right away; other settings
+   * apply the next time they are read.
+   * @param {Object} values - CONFIG keys, as for init()
+   */
+  function configure(values) {
+    assignConfig(values);
+    syncPlugins();
+    if (CONFIG.debug) console.log('[Harbor] Configured:', values);
+  }
 
   // Expose enhanced API
-  window.harbor = { 
+  const api = {
+    init: () => {
+      if (CONFIG.debug) console.warn('[Harbor] Already initialized');
+    },
+    // Snippet code that runs after boot keeps working: harbor.push(['track', ...])
+    push: (...commands) => commands.forEach(runCommand),
     track,
     flush: flushBatch,
     getVisitorId,
+    identify,
+    reset: resetIdentity,
+    isLikelyBot,
+    use,
+    beforeSend,
+    configure,
+    shutdown,
+    optOut,
+    optIn: () => setOptedOut(false),
+    transport,
+    goals: {
+      define: defineGoals
+    },
+    attribution: {
+      get: getAttribution,
+      addSource: addReferrerSource
+    },
+    redact: {
+      addRule: addRedactionRule,
+      scrub: (value) => redact(String(value), 'manual')
+    },
+    consent: {
+      grant: (categories) => setConsent(categories, 'granted'),
+      revoke: (categories) => setConsent(categories, 'denied'),
+      status: consentSnapshot
+    },
     debug: () => ({
       queueSize: QUEUE.length,
-      sessionDuration: Math.round((Date.now() - SESSION_START) / 1000),
+      retryQueueSize: RETRY.length,
+      rateLimited,
+      sessionDuration: secondsSince(getSessionStart()),
+      consent: consentSnapshot(),
+      consentBuffered: consentBuffer.length,
+      bot: { likely: isLikelyBot(), automation, humanness: humanness() },
+      plugins: PLUGINS.map(mod => ({ name: mod.name, active: mod.active })),
       config: CONFIG
     })
   };
 
+  // Commands are [name, ...args]; dotted names reach namespaces ('consent.grant')
+  function runCommand(command) {
+    const [name, ...args] = Array.from(command || []);
+    if (name === 'init') return;
+    const fn = String(name).split('.').reduce((target, key) => target && target[key], api);
+    if (typeof fn !== 'function') {
+      if (CONFIG.debug) console.warn(`[Harbor] Unknown command: ${name}`);
+      return;
+    }
+    try {
+      fn(...args);
+    } catch (e) {
+      if (CONFIG.debug) console.error(`[Harbor] Command ${name} failed:`, e);
+    }
+  }
+
+  window.harbor = api;
+  queued.splice(0).forEach(runCommand);
+
 })();
@@ -0,0 +1,58 @@
+/**
+ * Harbor Web Analytics - ES module entry for bundlers
+ *
+ *   import { init, track } from './harbor-web-analytics.mjs';
+ *   init({ harborId: 'your-harbor-id', apiKey: 'your-api-key' });
+ *   track('signup', 1, { plan: 'pro' });
+ *
+ * Without a configured script tag the core waits for init(); calls made
+ * before that are queued and replayed once it boots.
+ */
+import './harbor-web-analytics.js';
+
+// init() replaces window.harbor, so every export looks the API up at call time
+const command = (name) => (...args) => {
+  const fn = name.split('.').reduce((target, key) => target && target[key], window.harbor);
+  return typeof fn === 'function' ? fn(...args) : undefined;
+};
+
+export const init = command('init');
+export const track = command('track');
+export const flush = command('flush');
+export const getVisitorId = command('getVisitorId');
+export const identify = command('identify');
+export const reset = command('reset');
+export const isLikelyBot = command('isLikelyBot');
+export const use = command('use');
+export const beforeSend = command('beforeSend');
+export const configure = command('configure');
+export const shutdown = command('shutdown');
+export const optOut = command('optOut');
+export const optIn = command('optIn');
+export const debug = command('debug');
+
+export const goals = {
+  define: command('goals.define')
+};
+
+export const attribution = {
+  get: command('attribution.get'),
+  addSource: command('attribution.addSource')
+};
+
+export const redact = {
+  addRule: command('redact.addRule'),
+  scrub: command('redact.scrub')
+};
+
+export const consent = {
+  grant: command('consent.grant'),
+  revoke: command('consent.revoke'),
+  status: command('consent.status')
+};
+
+export default {
+  init, track, flush, getVisitorId, identify, reset, isLikelyBot, use, beforeSend, configure,
+  shutdown, optOut, optIn, debug,
+  goals, attribution, redact, consent
+};